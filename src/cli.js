@@ -1,49 +1,171 @@
 #!/usr/bin/env node
 
-import { updateReadme, createDocs } from './readme-tsdoc.js';
+import * as fs from 'fs';
+import { updateReadme, createDocs, watchDocs, generateApiChangelog, createCache } from './readme-tsdoc.js';
 
 const USAGE = `Usage: tsdoc-readme [options]
+       tsdoc-readme api-diff <source> <from-ref> [<to-ref>] [options]
+                      Print a changelog of the changes to the API of a TypeScript source file (or package.json)
+                      between two git refs, the working tree being the default <to-ref>, using the --exclude-tags
+                      and --tsconfig options (and the config file)
 Options:
   --file <path>       Path to the README file (default: README.md); output file when used with --create
   --search <phrase>   Search phrase to locate insertion point (default: "The following is auto-generated from")
-  --create <source>   TypeScript source file; generate reference docs into --file (mutually exclusive with --search)
-  --repo-url <url>    Repository URL for source links (optional)
+  --create <source>   TypeScript source file (or package.json, for its entry points); generate reference docs into --file (mutually exclusive with --search)
+  --repo-url <url>    Repository URL for source links (optional); 'auto' to use the git remote or package.json,
+                      or a URL template with {path}, {line} and {ref} placeholders
+  --ref <ref>         Branch, tag or commit for source links (default: main); 'auto' for the current tag or commit
+  --inherited         List the members that classes and interfaces inherit (optional)
+  --exclude-tags <tags>  Comma-separated JSDoc tags (e.g. internal,alpha) of symbols and members to leave out
+  --tsconfig <path>   The tsconfig.json to compile with (default: the one nearest to each source file)
+  --toc               Start each generated section with a summary table of the exported symbols
+  --toc-by-kind       Like --toc, but with a table per kind (functions, classes, types, etc)
   --split             Split output into multiple files based on sections (optional)
+  --format <format>   Output format for --create: markdown (default), html for a web page (one per symbol with --split),
+                      or json for a structured model of the symbols
+  --check             Don't write anything; print a diff and exit non-zero if the docs are out of date
+  --verify-examples   Type-check the @example code blocks of the documented files, exiting non-zero on errors
+  --coverage          Report the symbols, members, parameters and type parameters that lack documentation
+  --coverage-threshold <percent>  Exit non-zero when the coverage is below this percentage (default: 0)
+  --coverage-json <path>  Also write the coverage report to this file, as JSON
+  --watch             Keep running, regenerating the docs when the source or markdown files change
+  --config <path>     JSON config file (default: readme-tsdoc.config.json, or the "readme-tsdoc" key in package.json)
   --help, -h          Show this help message`;
 
-const { mode, filePath, searchPhrase, sourcePath, repoUrl, split } = parseCommandLineArgs();
+const CONFIG_FILE = 'readme-tsdoc.config.json';
 
-if (mode === 'create') {
-    createDocs(sourcePath, filePath, repoUrl, split);
+/**
+ * The options that can be given on the command line (as --kebab-case) and in a
+ * config file or job (as camelCase), with their value types. In a config file, 'tags'
+ * can also be an array of strings.
+ */
+const OPTION_TYPES = {
+    file: 'string',
+    search: 'string',
+    create: 'string',
+    repoUrl: 'string',
+    ref: 'string',
+    inherited: 'boolean',
+    excludeTags: 'tags',
+    tsconfig: 'string',
+    toc: 'boolean',
+    tocByKind: 'boolean',
+    split: 'boolean',
+    format: 'string',
+    check: 'boolean',
+    verifyExamples: 'boolean',
+    coverage: 'boolean',
+    coverageThreshold: 'number',
+    coverageJson: 'string',
+    watch: 'boolean'
+};
+
+if (process.argv[2] === 'api-diff') {
+    apiDiff(process.argv.slice(3));
+}
+
+const jobs = getJobs();
+for (const job of jobs) {
+    job.excludeTags = parseTags(job.excludeTags);
+}
+
+if (jobs.some(job => job.watch)) {
+    watchDocs(jobs);
 } else {
-    updateReadme(filePath, searchPhrase, repoUrl, split);
+    // Share the compiled programs between jobs documenting the same sources
+    const cache = createCache();
+    let upToDate = true;
+    try {
+        for (const job of jobs) {
+            const ok = job.create !== undefined
+                ? createDocs(job.create, job.file, { ...job, cache })
+                : updateReadme(job.file, job.search, { ...job, cache });
+            upToDate = ok && upToDate;
+        }
+    } catch (error) {
+        // Like invalid marker options, or hand-edited generated content
+        fail(error.message);
+    }
+    if (!upToDate) process.exit(1);
+}
+
+/**
+ * Combine the config file and command line arguments into a list of jobs to run.
+ * Command line options override the config file. When the command line specifies
+ * what to generate (--file or --create), it replaces the configured jobs.
+ */
+function getJobs() {
+    const { configPath, options } = parseCommandLineArgs();
+    const { jobs, ...config } = loadConfig(configPath);
+    const targeted = options.file !== undefined || options.create !== undefined;
+
+    return (targeted || !jobs ? [{}] : jobs).map((job, index) => {
+        const result = { ...config, ...job, ...options };
+        if (result.create !== undefined && result.file === undefined) {
+            fail(`--file is required when using --create${jobs && !targeted ? ` (in jobs[${index}])` : ''}`);
+        }
+        if (result.format !== undefined && !['markdown', 'html', 'json'].includes(result.format)) {
+            fail(`Unknown format "${result.format}" (expected markdown, html or json)`);
+        }
+        if (result.format !== undefined && result.format !== 'markdown' && result.create === undefined) {
+            fail(`--format ${result.format} can only be used with --create`);
+        }
+        if (result.watch && result.check) {
+            fail('--watch cannot be combined with --check');
+        }
+        return { file: 'README.md', search: 'The following is auto-generated from', ...result };
+    });
+}
+
+/**
+ * Print the changelog of the API between two git refs, and exit
+ */
+function apiDiff(args) {
+    const optionsIndex = args.findIndex(arg => arg.startsWith('-'));
+    const positional = optionsIndex < 0 ? args : args.slice(0, optionsIndex);
+    const [sourcePath, fromRef, toRef] = positional;
+    if (!fromRef || positional.length > 3) {
+        console.log(USAGE);
+        process.exit(1);
+    }
+    const { configPath, options } = parseCommandLineArgs(optionsIndex < 0 ? [] : args.slice(optionsIndex));
+    const { excludeTags, tsconfig } = { ...loadConfig(configPath), ...options };
+    try {
+        process.stdout.write(generateApiChangelog(sourcePath, fromRef, toRef, { excludeTags: parseTags(excludeTags), tsconfig }));
+    } catch (error) {
+        fail(error.message);
+    }
+    process.exit(0);
+}
+
+/**
+ * Parse the tags of the exclude-tags option (comma-separated or an array), with or without their @
+ */
+function parseTags(tags) {
+    return (typeof tags === 'string' ? tags.split(',') : tags)?.map(tag => tag.trim().replace(/^@/, ''));
 }
 
 /**
  * Parse command line arguments and return configuration
  */
-function parseCommandLineArgs() {
-    const args = process.argv.slice(2);
-    let filePath = 'README.md';
-    let fileExplicit = false;
-    let searchPhrase = 'The following is auto-generated from';
-    let sourcePath = undefined;
-    let repoUrl = undefined;
-    let split = false;
+function parseCommandLineArgs(args = process.argv.slice(2)) {
+    const options = {};
+    let configPath = undefined;
 
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
-        if (arg === '--file' && i + 1 < args.length) {
-            filePath = args[++i];
-            fileExplicit = true;
-        } else if (arg === '--search' && i + 1 < args.length) {
-            searchPhrase = args[++i];
-        } else if (arg === '--create' && i + 1 < args.length) {
-            sourcePath = args[++i];
-        } else if (arg === '--repo-url' && i + 1 < args.length) {
-            repoUrl = args[++i];
-        } else if (arg === '--split') {
-            split = true;
+        // --repo-url => repoUrl
+        const key = arg.replace(/^--/, '').replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const type = arg.startsWith('--') ? OPTION_TYPES[key] : undefined;
+        if (arg === '--config' && i + 1 < args.length) {
+            configPath = args[++i];
+        } else if (type === 'boolean') {
+            options[key] = true;
+        } else if (type === 'number' && i + 1 < args.length) {
+            options[key] = Number(args[++i]);
+            if (isNaN(options[key])) fail(`${arg} should be a number, but got "${args[i]}"`);
+        } else if (type && i + 1 < args.length) {
+            options[key] = args[++i];
         } else {
             if (arg !== '--help' && arg !== '-h') {
                 console.warn(`Unknown argument: ${arg}`);
@@ -53,15 +175,73 @@ function parseCommandLineArgs() {
         }
     }
 
-    if (sourcePath !== undefined && !fileExplicit) {
-        console.error('--file is required when using --create');
-        console.log(USAGE);
-        process.exit(1);
+    return { configPath, options };
+}
+
+/**
+ * Load and validate the configuration from the given path, from the default config file,
+ * or from the "readme-tsdoc" key in package.json (in that order).
+ * @returns {object} The configuration, or an empty object if there is none
+ */
+function loadConfig(configPath) {
+    let source = configPath || CONFIG_FILE;
+    let config;
+    if (configPath || fs.existsSync(CONFIG_FILE)) {
+        config = readJson(source);
+    } else if (fs.existsSync('package.json')) {
+        source = 'package.json "readme-tsdoc" key';
+        config = readJson('package.json')['readme-tsdoc'];
     }
+    if (config === undefined) return {};
 
-    if (sourcePath !== undefined) {
-        return { mode: 'create', filePath, sourcePath, repoUrl, split };
+    if (!isObject(config)) fail(`${source}: configuration should be an object`);
+    validateOptions(config, source, true);
+    if (config.jobs !== undefined) {
+        if (!Array.isArray(config.jobs) || !config.jobs.length) {
+            fail(`${source}: "jobs" should be a non-empty array`);
+        }
+        config.jobs.forEach((job, index) => {
+            if (!isObject(job)) fail(`${source}: jobs[${index}] should be an object`);
+            validateOptions(job, `${source}: jobs[${index}]`, false);
+        });
     }
+    return config;
+}
+
+/**
+ * Check that an options object only contains known keys with values of the right type
+ */
+function validateOptions(options, source, allowJobs) {
+    for (const [key, value] of Object.entries(options)) {
+        if (key === 'jobs' && allowJobs) continue;
+        const type = OPTION_TYPES[key];
+        if (!type) {
+            const known = Object.keys(OPTION_TYPES).concat(allowJobs ? ['jobs'] : []);
+            fail(`${source}: unknown option "${key}" (expected one of: ${known.join(', ')})`);
+        }
+        const valid = type === 'tags'
+            ? typeof value === 'string' || Array.isArray(value) && value.every(tag => typeof tag === 'string')
+            : typeof value === type;
+        if (!valid) {
+            const expected = type === 'tags' ? 'string or an array of strings' : type;
+            fail(`${source}: option "${key}" should be a ${expected}, but got ${JSON.stringify(value)}`);
+        }
+    }
+}
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        fail(`Could not read ${filePath}: ${error.message}`);
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
-    return { mode: 'update', filePath, searchPhrase, repoUrl, split };
+function fail(message) {
+    console.error(message);
+    process.exit(1);
 }
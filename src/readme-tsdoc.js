@@ -1,8 +1,11 @@
 import * as fs from 'fs';
 import * as path from 'path';
-import { execSync } from 'child_process';
-import { createProgram, ScriptTarget, SyntaxKind, SymbolFlags, NodeFlags, ModuleResolutionKind, ModuleKind } from 'typescript';
+import * as os from 'os';
+import { execFileSync } from 'child_process';
+import { createHash } from 'crypto';
+import { createProgram, createCompilerHost, createSourceFile, findConfigFile, readConfigFile, parseJsonConfigFileContent, flattenDiagnosticMessageText, forEachChild, isFunctionLike, sys, ScriptTarget, SyntaxKind, SymbolFlags, NodeFlags, ModuleResolutionKind, ModuleKind, JsxEmit, TypeFormatFlags } from 'typescript';
 
+/** The compiler options to use when there is no tsconfig.json */
 const COMPILER_OPTIONS = {
     target: ScriptTarget.ES2022,
     module: ModuleKind.CommonJS,
@@ -10,7 +13,8 @@ const COMPILER_OPTIONS = {
     allowJs: true,
     declaration: true,
     esModuleInterop: true,
-    skipLibCheck: false,
+    jsx: JsxEmit.Preserve,
+    skipLibCheck: true,
     forceConsistentCasingInFileNames: true
 };
 
@@ -18,11 +22,51 @@ const COMPILER_OPTIONS = {
  * Generate markdown documentation for a TypeScript file using TypeScript compiler API
  * @param {string} filePath Path to the TypeScript file
  * @param {string} headingPrefix The heading prefix to use (e.g., '###' for level 3)
- * @param {string} [repoUrl] Optional repository URL for generating deep links (e.g., 'https://github.com/vanviegen/readme-tsdoc')
- * @returns {Promise<string>} Generated markdown documentation
+ * @param {object} [options]
+ * @param {string} [options.repoUrl] Repository URL for generating deep links (e.g., 'https://github.com/vanviegen/readme-tsdoc'), 'auto' to derive it from git or package.json, or a URL template containing `{path}`, `{line}` and `{ref}` placeholders
+ * @param {string} [options.ref] The branch, tag or commit to link to (default: 'main'), or 'auto' for the current tag or commit
+ * @param {boolean} [options.inherited] When true, list the members that classes and interfaces inherit
+ * @param {string[]} [options.excludeTags] Leave out symbols and members having any of these JSDoc tags (e.g. `['internal', 'alpha']`)
+ * @param {string} [options.tsconfig] Path to the tsconfig.json to compile with (default: the one nearest to the source file)
+ * @returns {string} Generated markdown documentation
  */
-export function generateMarkdownDoc(filePath, headingPrefix, repoUrl) {
-    const program = createProgram([filePath], COMPILER_OPTIONS);
+export function generateMarkdownDoc(filePath, headingPrefix, options = {}) {
+    options = fromLegacyArguments(options);
+    const content = renderSymbols(generateModel(filePath, options), headingPrefix);
+    return resolveLinks(content, '', buildLinkIndex([{ name: '', content }]));
+}
+
+/**
+ * Get the options of {@link generateMarkdownDoc}, {@link updateReadme} or {@link createDocs}, which
+ * used to take `repoUrl` and `split` as their third and fourth arguments
+ * @returns {object} The options
+ */
+function fromLegacyArguments(options, split) {
+    if (typeof options === 'string' || split !== undefined) return { repoUrl: options || undefined, split };
+    return options || {};
+}
+
+/**
+ * Extract a structured model of the exports of a TypeScript file, from which the
+ * markdown documentation is rendered. Each symbol has a `name`, a `kind` (like 'function'
+ * or 'static method'), a source `location`, a deep `link` (when `repoUrl` is set) and,
+ * where applicable, `deprecated`, `description`, `since`, `see`, `signatures` (with
+ * `parameters`, `typeParameters`, `returns`, `throws` and `examples`), `type`, `value`,
+ * `extends`, `implements`, `constructorParameters`, `enumMembers`, `inherited` and
+ * `members` (holding symbols themselves). Inline links are kept in JSDoc syntax.
+ * @param {string} filePath Path to the TypeScript file
+ * @param {object} [options] Same as for {@link generateMarkdownDoc}
+ * @returns {object[]} The documented symbols
+ */
+export function generateModel(filePath, options = {}) {
+    // Models are cached for the duration of a run (or in watch mode, until one of the files they depend on changes)
+    const cache = options.cache || createCache();
+    const key = getModelKey(filePath, options);
+    cache.used.add(key);
+    if (cache.models.has(key)) return cache.models.get(key).symbols;
+    
+    if (!findProgram(cache, filePath)) preparePrograms([filePath], options, cache);
+    const { program, configPath } = findProgram(cache, filePath);
     const checker = program.getTypeChecker();
     const sourceFile = program.getSourceFiles().find(sf => 
         path.resolve(sf.fileName) === path.resolve(filePath)
@@ -32,72 +76,501 @@ export function generateMarkdownDoc(filePath, headingPrefix, repoUrl) {
         throw new Error(`No exports found in ${filePath}`);
     }
     
-    let output = '';
-    for (const [name, symbol] of sourceFile.symbol.exports) {
-        output += generateSymbolDoc(name, symbol, checker, headingPrefix, sourceFile, repoUrl);
+    const symbols = [];
+    for (const symbol of checker.getExportsOfModule(sourceFile.symbol)) {
+        const model = extractSymbol(symbol.name, symbol, checker, options);
+        if (model) symbols.push(model);
     }
-    return output;
+    
+    const files = getDependencies(program, sourceFile);
+    if (configPath) files.add(path.resolve(configPath));
+    cache.models.set(key, { symbols, files });
+    return symbols;
 }
 
 /**
- * Generate a deep link to the symbol in the repository
- * @param {string} repoUrl The repository URL
- * @param {string} filePath The absolute file path
- * @param {number} lineNumber The line number where the symbol is defined
- * @returns {string} The deep link URL
+ * Extract a model of the public API of a package. For each entry point in the `exports` of its
+ * package.json (or else its `types` or `main`), this gives the `specifier` to import it by
+ * (like 'my-lib/utils'), the source `file`, the `symbols` (see {@link generateModel}) and the
+ * `reexports`: the symbols that are documented under an earlier entry point, as `{name, target, from}`.
+ * @param {string} packagePath Path to the package.json file
+ * @param {object} [options] Same as for {@link generateMarkdownDoc}
+ * @returns {object[]} The entry points
  */
-function generateDeepLink(repoUrl, filePath, lineNumber) {    
-    // Get the relative path within the git repo (also verifies it exists)
-    const relativePath = execSync(`git ls-files --full-name "${filePath}"`, {
-        encoding: 'utf8'
-    }).trim();
+export function generatePackageModel(packagePath, options = {}) {
+    const cache = options.cache || createCache();
+    options = { ...options, cache };
+    const key = getModelKey(packagePath, options);
+    cache.used.add(key);
+    if (cache.models.has(key)) return cache.models.get(key).symbols;
     
-    if (!relativePath) return undefined;
+    const entryPoints = getEntryPoints(packagePath);
+    preparePrograms(entryPoints.map(entry => entry.file).filter(file => !findProgram(cache, file)), options, cache);
+    
+    const files = new Set([path.resolve(packagePath)]);
+    const documented = new Map(); // The specifier and name of documented symbols, by TypeScript symbol
+    const result = entryPoints.map(({ specifier, file }) => {
+        const symbols = [], reexports = [];
+        for (const symbol of generateModel(file, options)) {
+            const exported = exportedSymbols.get(symbol);
+            const original = documented.get(exported);
+            if (original) {
+                reexports.push({ name: symbol.name, target: original.name, from: original.specifier });
+            } else {
+                symbols.push(symbol);
+                if (exported) documented.set(exported, { name: symbol.name, specifier });
+            }
+        }
+        cache.models.get(getModelKey(file, options)).files.forEach(dependency => files.add(dependency));
+        return { specifier, file: relativePath(file), symbols, reexports };
+    });
     
-    const baseUrl = repoUrl.replace(/\/$/, '');
+    cache.models.set(key, { symbols: result, files });
+    return result;
+}
+
+/**
+ * Get the entry points of a package from its package.json, as `{specifier, file}` objects
+ */
+function getEntryPoints(packagePath) {
+    const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+    let exports = pkg.exports;
+    // Exports given as a string or as conditions (rather than subpaths) apply to the main entry point
+    if (exports && (typeof exports !== 'object' || !Object.keys(exports).some(key => key.startsWith('.')))) {
+        exports = { '.': exports };
+    }
     
-    // Determine if it's a GitLab URL
-    if (baseUrl.match(/:\/\/(www\.)?gitlab\.com/)) {
-        return `${baseUrl}/-/blob/main/${relativePath}#L${lineNumber}`;
-    } else {
-        return `${baseUrl}/blob/main/${relativePath}#L${lineNumber}`;
+    const entryPoints = [];
+    for (const [subpath, target] of Object.entries(exports || { '.': pkg.types || pkg.typings || pkg.main || 'index.js' })) {
+        if (subpath.includes('*')) {
+            console.warn(`Warning: skipping pattern export "${subpath}" in ${packagePath}`);
+            continue;
+        }
+        const file = resolveExportTarget(target);
+        // Skip non-code exports (like './package.json') and blocked subpaths
+        if (!/\.[cm]?[jt]sx?$/.test(file || '')) continue;
+        entryPoints.push({
+            specifier: (pkg.name || '') + subpath.substring(1) || subpath,
+            file: path.join(path.dirname(packagePath), file)
+        });
     }
+    if (!entryPoints.length) throw new Error(`No entry points found in ${packagePath}`);
+    return entryPoints;
 }
 
 /**
- * Generate documentation for a single symbol
+ * Pick the file from an `exports` target, preferring the type declarations
  */
-function generateSymbolDoc(name, symbol, checker, headingPrefix, sourceFile, repoUrl) {
-    const { declaration, originalSymbol, exportDeclaration } = resolveSymbol(symbol, checker);
+function resolveExportTarget(target) {
+    if (Array.isArray(target)) return target.map(resolveExportTarget).find(Boolean);
+    if (!target || typeof target !== 'object') return target;
+    for (const condition of ['types', 'import', 'default', 'require', ...Object.keys(target)]) {
+        const file = condition in target && resolveExportTarget(target[condition]);
+        if (file) return file;
+    }
+}
+
+/**
+ * Check if a source path refers to a package.json, to document the package's entry points
+ */
+function isPackageJson(sourcePath) {
+    return path.basename(sourcePath) === 'package.json';
+}
+
+/**
+ * Create the state that is shared between the markers and jobs of a run: the extracted
+ * models, the programs (by tsconfig.json path) and the parsed source files
+ */
+export function createCache() {
+    return { models: new Map(), programs: new Map(), sourceFiles: new Map(), used: new Set() };
+}
+
+function getModelKey(filePath, options) {
+    return JSON.stringify([path.resolve(filePath), options.repoUrl, options.ref, options.inherited, options.excludeTags, options.tsconfig]);
+}
+
+/**
+ * Create a single program for all of the given source files that use the same tsconfig.json
+ * (and thus a single type checker), reusing whatever is unchanged from the previous program
+ * @param {string[]} filePaths The source files, skipping the ones for which a model is cached
+ * @returns {number} The number of source files that were compiled
+ */
+function preparePrograms(filePaths, options, cache) {
+    const groups = new Map();
+    for (const filePath of new Set(filePaths)) {
+        if (cache.models.has(getModelKey(filePath, options))) continue;
+        const { compilerOptions, configPath } = getCompilerOptions(filePath, options.tsconfig);
+        const key = configPath ? path.resolve(configPath) : '';
+        if (!groups.has(key)) groups.set(key, { compilerOptions, configPath, roots: [] });
+        groups.get(key).roots.push(filePath);
+    }
     
-    if (!declaration) {
-        return `${headingPrefix} ${name}\n\n*No declaration found*\n\n`;
+    let count = 0;
+    for (const [key, { compilerOptions, configPath, roots }] of groups) {
+        const host = createCachingHost(cache.sourceFiles, compilerOptions);
+        const program = createProgram(roots, compilerOptions, host, cache.programs.get(key)?.program);
+        cache.programs.set(key, { program, configPath, roots: new Set(roots.map(root => path.resolve(root))) });
+        count += roots.length;
     }
+    return count;
+}
+
+/**
+ * Get the source files to compile for a source path, which may be a package.json
+ */
+function getEntryFiles(sourcePath) {
+    return isPackageJson(sourcePath) ? getEntryPoints(sourcePath).map(entry => entry.file) : [sourcePath];
+}
+
+/**
+ * Find the prepared program that has the given source file as one of its roots
+ */
+function findProgram(cache, filePath) {
+    const resolved = path.resolve(filePath);
+    return [...cache.programs.values()].find(entry => entry.roots.has(resolved));
+}
+
+/**
+ * Get the compiler options from the given tsconfig.json, or from the one nearest to the
+ * source file (following `extends`), falling back to `COMPILER_OPTIONS` if there is none.
+ * @returns {{compilerOptions: object, configPath: string|undefined}}
+ */
+function getCompilerOptions(filePath, tsconfig) {
+    const configPath = tsconfig || findConfigFile(path.dirname(path.resolve(filePath)), sys.fileExists);
+    if (!configPath) return { compilerOptions: COMPILER_OPTIONS };
     
-    const typeInfo = getTypeInfo(originalSymbol, declaration, checker);
-    let typeLabel = getTypeLabel(declaration, typeInfo);
+    const { config, error } = readConfigFile(configPath, sys.readFile);
+    if (error) {
+        throw new Error(`Could not read ${configPath}: ${flattenDiagnosticMessageText(error.messageText, '\n')}`);
+    }
+    // With a relative config file name, `extends` would be resolved relative to it twice
+    const parsed = parseJsonConfigFileContent(config, sys, path.dirname(path.resolve(configPath)), undefined, path.resolve(configPath));
+    // Error 18003 ("No inputs were found") doesn't matter, as we provide the source file ourselves
+    for (const diagnostic of parsed.errors.filter(d => d.code !== 18003)) {
+        console.warn(`Warning: ${configPath}: ${flattenDiagnosticMessageText(diagnostic.messageText, '\n')}`);
+    }
+    // Allow documenting JavaScript files, unless explicitly disabled
+    return { compilerOptions: { allowJs: true, ...parsed.options }, configPath };
+}
+
+/**
+ * Create a compiler host that reuses parsed source files (including the standard
+ * library) for as long as they are not modified
+ * @param {Map<string, {mtime: number, sourceFile: object}>} sourceFiles The parsed files by name
+ * @param {object} compilerOptions
+ */
+function createCachingHost(sourceFiles, compilerOptions) {
+    const host = createCompilerHost(compilerOptions);
+    const getSourceFile = host.getSourceFile;
+    host.getSourceFile = (fileName, ...args) => {
+        const mtime = fs.statSync(fileName, { throwIfNoEntry: false })?.mtimeMs;
+        const cached = sourceFiles.get(fileName);
+        if (cached && cached.mtime === mtime) return cached.sourceFile;
+        const sourceFile = getSourceFile.call(host, fileName, ...args);
+        sourceFiles.set(fileName, { mtime, sourceFile });
+        return sourceFile;
+    };
+    return host;
+}
+
+/**
+ * Get the absolute paths of a source file and the project files it (indirectly) imports,
+ * leaving out the standard library and npm packages
+ * @returns {Set<string>}
+ */
+function getDependencies(program, sourceFile) {
+    const checker = program.getTypeChecker();
+    const files = new Set();
+    const visit = file => {
+        const fileName = path.resolve(file.fileName);
+        if (files.has(fileName) || program.isSourceFileDefaultLibrary(file) || program.isSourceFileFromExternalLibrary(file)) return;
+        files.add(fileName);
+        for (const statement of file.statements) {
+            const specifier = statement.moduleSpecifier || statement.moduleReference?.expression;
+            const declaration = specifier && checker.getSymbolAtLocation(specifier)?.declarations?.[0];
+            if (declaration?.kind === SyntaxKind.SourceFile) visit(declaration);
+        }
+    };
+    visit(sourceFile);
+    return files;
+}
+
+/**
+ * Generate the markdown (with unresolved link placeholders) for a source file, or for the
+ * entry points of a package.json, along with the detail files in split mode
+ * @param {Set<string>} [usedFileNames] The names of files that detail files should not overwrite
+ * @param {string} [location] The `file:line` of the marker, for error messages
+ * @returns {{content: string, files: Array<{name: string, content: string}>, symbols: object[]}} The
+ *   content, the detail files and the documented (top-level) symbols
+ */
+function generateContent(sourcePath, headingPrefix, options, usedFileNames = new Set(), location = undefined) {
+    if (options.diff) {
+        // A changelog fragment, like `diff=v1.0.0` (to the working tree) or `diff=v1.0.0..v2.0.0`
+        const [fromRef, toRef] = options.diff.split('..');
+        return { content: renderApiDiff(diffApi(sourcePath, fromRef, toRef || undefined, options)), files: [], symbols: [] };
+    }
+    if (!isPackageJson(sourcePath)) {
+        const symbols = selectSymbols(generateModel(sourcePath, options), options, location);
+        return { ...renderContent(symbols, headingPrefix, options, usedFileNames), symbols };
+    }
+    
+    // Each entry point gets a section, titled with its import specifier
+    let content = '';
+    const files = [], symbols = [];
+    let entryPoints = generatePackageModel(sourcePath, options);
+    if (options.members) {
+        // Only the entry point that exports the symbol
+        entryPoints = entryPoints.filter(entryPoint => entryPoint.symbols.some(symbol => symbol.name === options.members)).slice(0, 1);
+        if (!entryPoints.length) throw new Error(`${location ? `${location}: ` : ''}cannot document the members of "${options.members}", as ${sourcePath} does not export it`);
+    }
+    for (const entryPoint of entryPoints) {
+        const selected = selectSymbols(entryPoint.symbols, options, location);
+        const section = renderContent(selected, `${headingPrefix}#`, options, usedFileNames);
+        content += `${headingPrefix} ${entryPoint.specifier}\n\n${renderReexports(entryPoint.reexports)}${section.content}`;
+        files.push(...section.files);
+        symbols.push(...selected);
+    }
+    return { content, files, symbols };
+}
+
+/**
+ * Render symbols to markdown, either in full or (in split mode) as an overview plus detail files,
+ * optionally preceded by a summary table
+ */
+function renderContent(symbols, headingPrefix, options, usedFileNames) {
+    const toc = options.toc || options.tocByKind ? renderToc(symbols, options.tocByKind) : '';
+    if (!options.split) return { content: toc + renderSymbols(symbols, headingPrefix), files: [] };
+    const extension = options.format === 'html' ? '.html' : '.md';
+    const { mainContent, files } = splitDocContent(symbols, headingPrefix, usedFileNames, extension);
+    return { content: toc + mainContent, files };
+}
+
+/**
+ * Render a table listing the symbols, with their kinds and the first sentences of their
+ * descriptions, linking to their documentation
+ * @param {object[]} symbols The symbols, as extracted by `generateModel`
+ * @param {boolean} byKind When true, render a table per group of kinds (functions, classes, etc)
+ */
+function renderToc(symbols, byKind) {
+    let doc = '';
+    for (const [group, members] of byKind ? groupByKind(symbols) : new Map([['', symbols]])) {
+        if (!members.length) continue;
+        if (group) doc += `**${group}:**\n\n`;
+        doc += '| Name | Kind | Summary |\n| --- | --- | --- |\n';
+        for (const symbol of members) {
+            const summary = (symbol.description || '').split(/\n\s*\n/)[0].match(/^[\s\S]*?(?:[.!?](?=\s|$)|$)/)[0];
+            const link = symbol.deprecated ? `{@link ${symbol.name} | ~~\`${symbol.name}\`~~}` : `{@link ${symbol.name}}`;
+            doc += `| ${link} | ${symbol.kind || ''} | ${summary.replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()} |\n`;
+        }
+        doc += '\n';
+    }
+    return doc;
+}
+
+/**
+ * Render links to the symbols that an entry point re-exports from earlier entry points
+ */
+function renderReexports(reexports) {
+    let doc = '';
+    for (const from of new Set(reexports.map(reexport => reexport.from))) {
+        const links = reexports.filter(reexport => reexport.from === from).map(({ name, target }) =>
+            name === target ? `{@link ${target}}` : `{@link ${target} | \`${name}\`}`
+        );
+        doc += `**Re-exported from \`${from}\`:** ${links.join(', ')}\n\n`;
+    }
+    return doc;
+}
+
+/**
+ * Render symbols (as extracted by `generateModel`) to markdown with unresolved link placeholders (see `resolveLinks`)
+ */
+function renderSymbols(symbols, headingPrefix) {
+    return symbols.map(symbol => renderSymbol(symbol, headingPrefix)).join('');
+}
+
+/**
+ * Generate a deep link to the symbol in the repository
+ * @param {object} options The options holding `repoUrl` and `ref`
+ * @param {string} filePath The file path, relative to the working directory
+ * @param {number} lineNumber The line number where the symbol is defined
+ * @returns {string|undefined} The deep link URL
+ */
+function generateDeepLink(options, filePath, lineNumber) {    
+    // Get the relative path within the git repo (also verifies it exists)
+    if (!repoPaths.has(filePath)) {
+        repoPaths.set(filePath, git('ls-files', '--full-name', filePath));
+    }
+    const relativePath = repoPaths.get(filePath);
+    if (!relativePath) return undefined;
     
-    // Add an optional deep link to the type label
-    if (repoUrl && declaration.pos !== undefined) {
-        const lineNumber = sourceFile.getLineAndCharacterOfPosition(declaration.getStart()).line + 1;
-        const deepLink = generateDeepLink(repoUrl, sourceFile.fileName, lineNumber);
-        if (deepLink) {
-            typeLabel = `[${typeLabel}](${deepLink})`;
+    const template = getLinkTemplate(options.repoUrl, options.ref);
+    return template?.replaceAll('{path}', relativePath).replaceAll('{line}', lineNumber);
+}
+
+/** Paths within the git repository by file path, as running git for every symbol is slow */
+const repoPaths = new Map();
+
+/** Link templates by repository URL and ref, as these may require running git to resolve */
+const linkTemplates = new Map();
+
+/**
+ * Get the deep link URL template for a repository, with `{path}` and `{line}` placeholders
+ * @param {string} repoUrl The repository URL, 'auto', or a custom URL template
+ * @param {string} [ref] The branch, tag or commit, or 'auto'
+ * @returns {string|undefined} The template, or undefined if the repository URL could not be determined
+ */
+function getLinkTemplate(repoUrl, ref = 'main') {
+    const key = `${repoUrl} ${ref}`;
+    if (!linkTemplates.has(key)) {
+        if (ref === 'auto') {
+            ref = git('describe', '--tags', '--exact-match') || git('rev-parse', 'HEAD') || 'main';
         }
+        const baseUrl = repoUrl === 'auto' ? detectRepoUrl() : normalizeRepoUrl(repoUrl);
+        if (!baseUrl) console.warn('Could not determine the repository URL; omitting deep links');
+        linkTemplates.set(key, baseUrl && getHostingTemplate(baseUrl, ref).replaceAll('{ref}', ref));
+    }
+    return linkTemplates.get(key);
+}
+
+/**
+ * Determine the deep link URL template based on the hosting provider
+ */
+function getHostingTemplate(baseUrl, ref) {
+    if (baseUrl.includes('{path}')) return baseUrl; // Custom template
+    
+    const refType = /^[0-9a-f]{7,40}$/.test(ref) ? 'commit' : git('show-ref', '--verify', `refs/tags/${ref}`) ? 'tag' : 'branch';
+    const host = baseUrl.replace(/^[a-z]+:\/\//, '').split('/')[0];
+    
+    if (host.includes('gitlab')) {
+        return `${baseUrl}/-/blob/{ref}/{path}#L{line}`;
     }
+    if (host.includes('bitbucket')) {
+        return `${baseUrl}/src/{ref}/{path}#lines-{line}`;
+    }
+    if (host.endsWith('dev.azure.com') || host.endsWith('visualstudio.com')) {
+        return `${baseUrl}?path=/{path}&version=${{ commit: 'GC', tag: 'GT', branch: 'GB' }[refType]}{ref}&line={line}&lineEnd={line}&lineStartColumn=1&lineEndColumn=1`;
+    }
+    if (host.endsWith('sr.ht')) {
+        return `${baseUrl}/tree/{ref}/item/{path}#L{line}`;
+    }
+    if (host.includes('gitea') || host.includes('forgejo') || host === 'codeberg.org') {
+        return `${baseUrl}/src/${refType}/{ref}/{path}#L{line}`;
+    }
+    return `${baseUrl}/blob/{ref}/{path}#L{line}`; // GitHub and compatible
+}
+
+/**
+ * Derive the repository URL from the 'origin' git remote or the package.json `repository` field
+ */
+function detectRepoUrl() {
+    let url = git('remote', 'get-url', 'origin');
+    if (!url && fs.existsSync('package.json')) {
+        const { repository } = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+        url = typeof repository === 'string' ? repository : repository?.url;
+    }
+    return url && normalizeRepoUrl(url);
+}
+
+/**
+ * Turn git remote URLs and package.json repository shorthands into a web URL.
+ * E.g., "git@github.com:user/repo.git" -> "https://github.com/user/repo"
+ */
+function normalizeRepoUrl(url) {
+    if (url.includes('{path}')) return url;
+    return url
+        .replace(/^git\+/, '')
+        .replace(/^([\w.-]+\/[\w.-]+)$/, 'github:$1')
+        .replace(/^(github|gitlab|bitbucket):/, (_, host) => `https://${host}.${host === 'bitbucket' ? 'org' : 'com'}/`)
+        .replace(/^(?:ssh:\/\/)?[\w.-]+@([^:/]+)(?::\d+)?[:/]/, 'https://$1/')
+        .replace(/^https:\/\/ssh\.dev\.azure\.com\/v3\/([^/]+)\/([^/]+)\//, 'https://dev.azure.com/$1/$2/_git/')
+        .replace(/^(https?:\/\/)[^@/]+@/, '$1')
+        .replace(/^git:\/\//, 'https://')
+        .replace(/\.git$/, '')
+        .replace(/\/$/, '');
+}
+
+/**
+ * Run a git command (without a shell, so arguments need no escaping), returning its trimmed
+ * output, or an empty string if it fails
+ */
+function git(...args) {
+    try {
+        return execFileSync('git', args, { encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+    } catch (error) {
+        return '';
+    }
+}
+
+/**
+ * Generate a deep link to the source file and line where a node is declared
+ * @returns {string|undefined} The deep link URL, or undefined if the file is not tracked in the repository
+ */
+function generateNodeLink(options, node) {
+    if (!node) return undefined;
+    const { file, line } = getLocation(node);
+    return generateDeepLink(options, file, line);
+}
+
+/**
+ * Get the source file (relative to the working directory) and line where a node is declared
+ * @returns {{file: string, line: number}}
+ */
+function getLocation(node) {
+    const sourceFile = node.getSourceFile();
+    const line = sourceFile.getLineAndCharacterOfPosition(node.getStart()).line + 1;
+    return { file: relativePath(sourceFile.fileName), line };
+}
+
+/**
+ * Get a file path relative to the working directory, with forward slashes
+ */
+function relativePath(filePath) {
+    return path.relative(process.cwd(), filePath).split(path.sep).join('/');
+}
+
+/** The (alias-resolved) TypeScript symbols of extracted symbols, to recognize symbols that are exported by multiple entry points */
+const exportedSymbols = new WeakMap();
+
+/** The `@example` tags of extracted `examples` arrays, to locate the examples when verifying them */
+const exampleSources = new WeakMap();
+
+/**
+ * Extract the model for a single symbol
+ * @returns {object|null} The symbol model, or null if it is excluded
+ */
+function extractSymbol(name, symbol, checker, options) {
+    const { declaration, originalSymbol, exportDeclaration } = resolveSymbol(symbol, checker);
     
-    let doc = `${headingPrefix} ${name} · ${typeLabel}\n\n`;
+    if (!declaration) {
+        return { name };
+    }
     
     // Try to extract JSDoc from export declaration first, then from resolved declaration
     // This allows re-export JSDoc to override the original documentation
     const jsDocObject = extractJSDoc(exportDeclaration) || extractJSDoc(declaration);
-    if (jsDocObject?.comment) {
-        doc += `${commentToString(jsDocObject.comment)}\n\n`;
-    }
+    if (isExcluded(jsDocObject, options)) return null;
+    
+    // A namespace re-export is declared by its export declaration, rather than by the whole module
+    const declaredAt = declaration.kind === SyntaxKind.SourceFile ? exportDeclaration : declaration;
+    const typeInfo = getTypeInfo(originalSymbol, declaration, checker);
+    const model = { name, kind: getTypeLabel(declaration, typeInfo), location: getLocation(declaredAt) };
+    exportedSymbols.set(model, symbol.flags & SymbolFlags.Alias ? checker.getAliasedSymbol(symbol) : symbol);
     
-    doc += generateTypeSpecificDoc(declaration, typeInfo, checker, headingPrefix, name, sourceFile, repoUrl, jsDocObject);
+    // Add an optional deep link. When the declaration lives outside the repository
+    // (e.g. in an npm package), link to where it is re-exported instead.
+    if (options.repoUrl) {
+        model.link = generateNodeLink(options, declaredAt) || generateNodeLink(options, exportDeclaration);
+    }
     
-    return doc;
+    Object.assign(model, extractDescription(jsDocObject));
+    const props = extractComponentProps(declaration, checker, options);
+    if (props) {
+        // Components are documented by their props, rather than by their signature or members
+        model.kind = 'component';
+        return Object.assign(model, { props }, extractJSDocTags(jsDocObject));
+    }
+    Object.assign(model, extractTypeSpecific(declaration, typeInfo, checker, name, options, jsDocObject));
+    return model;
 }
 
 /**
@@ -108,8 +581,13 @@ function resolveSymbol(symbol, checker) {
     let originalSymbol = symbol;
     let exportDeclaration = declaration; // Keep track of the original export declaration
     
-    // Handle export specifiers (export { foo } from './module')
-    if (declaration?.kind === SyntaxKind.ExportSpecifier && symbol.flags & SymbolFlags.Alias) {
+    // Namespace re-exports (export * as ns from './module') are documented by the export declaration
+    if (declaration?.kind === SyntaxKind.NamespaceExport) {
+        exportDeclaration = declaration.parent;
+    }
+    
+    // Handle export specifiers (export { foo } from './module') and namespace re-exports
+    if ((declaration?.kind === SyntaxKind.ExportSpecifier || declaration?.kind === SyntaxKind.NamespaceExport) && symbol.flags & SymbolFlags.Alias) {
         try {
             const aliasedSymbol = checker.getAliasedSymbol(symbol);
             if (aliasedSymbol) {
@@ -180,10 +658,23 @@ function getTypeLabel(declaration, typeString) {
         return 'interface';
     }
     
-    if (kind === SyntaxKind.TypeAliasDeclaration) {
+    if (kind === SyntaxKind.TypeAliasDeclaration || kind === SyntaxKind.JSDocTypedefTag || kind === SyntaxKind.JSDocCallbackTag) {
         return 'type';
     }
     
+    if (kind === SyntaxKind.EnumDeclaration) {
+        const isConstEnum = declaration.modifiers?.some(mod => mod.kind === SyntaxKind.ConstKeyword);
+        return isConstEnum ? 'const enum' : 'enum';
+    }
+    
+    if (kind === SyntaxKind.SourceFile) {
+        return 'namespace';
+    }
+    
+    if (kind === SyntaxKind.ModuleDeclaration) {
+        return declaration.flags & NodeFlags.Namespace ? 'namespace' : 'module';
+    }
+    
     if (kind === SyntaxKind.VariableDeclaration) {
         // Check if it's a function or class assigned to a const
         if (typeString) {
@@ -225,6 +716,8 @@ function isConst(declaration) {
  * Convert a JSDoc comment value to a plain string.
  * The TypeScript compiler API returns jsDoc.comment as either a string or an
  * array of JSDocText/JSDocLink nodes (when inline tags like {@link} are present).
+ * Links are kept as normalized `{@link target | text}` tags, to be resolved by
+ * `resolveLinks` once all documented symbols are known.
  * @param {string | import('typescript').NodeArray<any> | undefined} comment
  * @returns {string}
  */
@@ -237,19 +730,86 @@ function commentToString(comment) {
         // JSDocLink node: has a `name` property for the linked symbol and `text` for optional display text
         if (node.name) {
             const name = typeof node.name === 'string' ? node.name : (node.name.getText?.() ?? String(node.name));
-            return node.text?.trim() ? node.text.trim() : `\`${name}\``;
+            const text = node.text?.replace(/^\s*\|/, '').trim() || '';
+            if (/^:\/\//.test(node.text)) return name + node.text; // {@link https://...}
+            const tag = node.kind === SyntaxKind.JSDocLinkPlain ? 'linkplain' : node.kind === SyntaxKind.JSDocLinkCode ? 'linkcode' : 'link';
+            return `{@${tag} ${name.replace('#', '.')}${text ? ` | ${text}` : ''}}`;
         }
         if (node.text !== undefined) return node.text;
         return '';
     }).join('');
 }
 
+/**
+ * Find the first JSDoc tag with the given name
+ */
+function findTag(jsDoc, tagName) {
+    return jsDoc?.tags?.find(tag => tag.tagName?.escapedText === tagName);
+}
+
+/**
+ * Find all JSDoc tags with the given name
+ */
+function filterTags(jsDoc, tagName) {
+    return jsDoc?.tags?.filter(tag => tag.tagName?.escapedText === tagName) || [];
+}
+
+/**
+ * Check if a declaration is tagged with one of the `excludeTags` (like `@internal`)
+ */
+function isExcluded(jsDoc, options) {
+    return !!options.excludeTags && !!jsDoc?.tags?.some(tag => options.excludeTags.includes(tag.tagName?.escapedText));
+}
+
+/**
+ * Extract the description, the deprecation notice and the `@since` and `@see` tags
+ */
+function extractDescription(jsDoc) {
+    const model = {};
+    
+    const deprecatedTag = findTag(jsDoc, 'deprecated');
+    if (deprecatedTag) {
+        model.deprecated = commentToString(deprecatedTag.comment) || true;
+    }
+    
+    if (jsDoc?.comment) {
+        model.description = commentToString(jsDoc.comment);
+    }
+    
+    const sinceTag = findTag(jsDoc, 'since');
+    if (sinceTag) {
+        model.since = commentToString(sinceTag.comment);
+    }
+    
+    const seeTags = filterTags(jsDoc, 'see');
+    if (seeTags.length > 0) {
+        model.see = seeTags.map(tag => {
+            const comment = commentToString(tag.comment);
+            const name = tag.name?.getText();
+            if (!name) return comment;
+            if (comment.startsWith('://')) return name + comment; // @see https://...
+            return `{@link ${name}}${comment ? ` ${comment}` : ''}`;
+        });
+    }
+    
+    return model;
+}
+
 /**
  * Extract JSDoc object from a declaration
  */
 function extractJSDoc(declaration) {
-    // First try the declaration itself
-    let jsDoc = declaration?.jsDoc?.[0];
+    // @typedef and @callback tags are documented by their comment, and @property tags by themselves
+    if (declaration?.kind === SyntaxKind.JSDocTypedefTag || declaration?.kind === SyntaxKind.JSDocCallbackTag) {
+        return declaration.parent;
+    }
+    if (declaration?.kind === SyntaxKind.JSDocPropertyTag) {
+        return declaration;
+    }
+    
+    // First try the declaration itself. When multiple comments precede it (like
+    // those holding @typedef tags), the last one is its own.
+    let jsDoc = declaration?.jsDoc?.at(-1);
     if (jsDoc) {
         return jsDoc;
     }
@@ -257,13 +817,13 @@ function extractJSDoc(declaration) {
     // For variable declarations, try the parent VariableStatement
     if (declaration?.kind === SyntaxKind.VariableDeclaration) {
         // Check parent (VariableDeclarationList)
-        if (declaration.parent?.jsDoc?.[0]) {
-            return declaration.parent.jsDoc[0];
+        if (declaration.parent?.jsDoc) {
+            return declaration.parent.jsDoc.at(-1);
         }
         
         // Check grandparent (VariableStatement)
-        if (declaration.parent?.parent?.jsDoc?.[0]) {
-            return declaration.parent.parent.jsDoc[0];
+        if (declaration.parent?.parent?.jsDoc) {
+            return declaration.parent.parent.jsDoc.at(-1);
         }
     }
     
@@ -271,11 +831,11 @@ function extractJSDoc(declaration) {
 }
 
 /**
- * Generate type-specific documentation
+ * Extract the type-specific parts of a symbol model
  */
-function generateTypeSpecificDoc(declaration, typeString, checker, headingPrefix, name, sourceFile, repoUrl, jsDocObject) {
+function extractTypeSpecific(declaration, typeString, checker, name, options, jsDocObject) {
     if (!typeString) {
-        return '*Type information unavailable*\n\n';
+        return { unavailable: true };
     }
     
     const kind = declaration.kind;
@@ -283,283 +843,464 @@ function generateTypeSpecificDoc(declaration, typeString, checker, headingPrefix
     // For variable declarations that are actually functions or classes
     if (kind === SyntaxKind.VariableDeclaration) {
         if (typeString.includes('=>') || typeString.startsWith('(')) {
-            return generateFunctionDoc(declaration, typeString, checker, jsDocObject);
+            return { signatures: [extractSignature(declaration, typeString, jsDocObject, checker)] };
         }
         if (typeString.startsWith('typeof ')) {
-            return generateClassDoc(declaration, typeString, checker, headingPrefix, name, sourceFile, repoUrl);
+            return extractClass(declaration, typeString, checker, name, options);
         }
     }
     
     switch (kind) {
         case SyntaxKind.FunctionDeclaration:
-            return generateFunctionDoc(declaration, typeString, checker, jsDocObject);
+            const overloads = getOverloads(declaration);
+            if (overloads) return { signatures: extractOverloads(overloads, checker) };
+            return { signatures: [extractSignature(declaration, typeString, jsDocObject, checker)] };
         case SyntaxKind.ClassDeclaration:
         case SyntaxKind.InterfaceDeclaration:
-            return generateClassDoc(declaration, typeString, checker, headingPrefix, name, sourceFile, repoUrl);
+            return extractClass(declaration, typeString, checker, name, options);
         case SyntaxKind.TypeAliasDeclaration:
+            // Object literal types are documented like interfaces
+            if (declaration.type?.kind === SyntaxKind.TypeLiteral) {
+                return extractClass(declaration, typeString, checker, name, { ...options, inherited: false }, declaration.type.members);
+            }
             // For type aliases, show the actual definition rather than resolved type
             const typeNode = declaration.type;
-            const actualType = typeNode ? typeNode.getText() : typeString;
-            return `**Type:** \`${actualType}\`\n\n`;
+            return { type: typeNode ? typeNode.getText() : typeString };
+        case SyntaxKind.JSDocTypedefTag:
+            // A @typedef with @property tags is documented like an interface
+            const literal = getJSDocTypeLiteral(declaration);
+            if (literal) {
+                return extractClass(declaration, typeString, checker, name, { ...options, inherited: false }, literal.jsDocPropertyTags || []);
+            }
+            return { type: declaration.typeExpression?.type.getText() ?? typeString };
+        case SyntaxKind.JSDocCallbackTag:
+            const signature = checker.getSignatureFromDeclaration(declaration.typeExpression);
+            const signatureString = checker.signatureToString(signature, undefined, TypeFormatFlags.WriteArrowStyleSignature);
+            return { signatures: [extractSignature(declaration.typeExpression, signatureString, jsDocObject, checker)] };
+        case SyntaxKind.EnumDeclaration:
+            return { enumMembers: extractEnumMembers(declaration, checker, options) };
+        case SyntaxKind.ModuleDeclaration:
+        case SyntaxKind.SourceFile:
+            return { members: extractNamespaceMembers(declaration, checker, name, options) };
         default:
-            return `**Value:** \`${typeString}\`\n\n`;
+            return { value: typeString };
     }
 }
 
+/** The functions that React function components can be wrapped in */
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+
 /**
- * Generate documentation for functions
+ * Detect a React component: a class extending `Component`, or a function (possibly wrapped in `memo`
+ * or `forwardRef`, or typed as `FC`) that returns JSX, and extract its props
+ * @returns {object[]|undefined} The props, with their types, defaults and descriptions, or undefined if it's not a component
  */
-function generateFunctionDoc(declaration, typeString, checker, jsDocObject) {
-    let doc = `**Signature:** \`${typeString}\`\n\n`;
+function extractComponentProps(declaration, checker, options) {
+    const name = declaration.name?.getText();
+    if (!name || !/^[A-Z]/.test(name)) return undefined;
     
-    // For variable declarations, try to extract parameter info from JSDoc
-    const resolvedJSDoc = jsDocObject || declaration.jsDoc?.[0];
-    if (declaration.kind === SyntaxKind.VariableDeclaration && resolvedJSDoc?.tags) {
-        return doc + generateJSDocBasedFunctionDoc(resolvedJSDoc);
-    }
+    let propsType, defaults = new Map();
+    const addDefaults = object => {
+        for (const property of object?.kind === SyntaxKind.ObjectLiteralExpression ? object.properties : []) {
+            if (property.initializer) defaults.set(property.name.getText(), property.initializer.getText());
+        }
+    };
     
-    // For function declarations, use AST
-    if (declaration.typeParameters?.length > 0) {
-        doc += generateTypeParameters(declaration.typeParameters, resolvedJSDoc);
+    if (declaration.kind === SyntaxKind.ClassDeclaration) {
+        const base = declaration.heritageClauses?.find(clause => clause.token === SyntaxKind.ExtendsKeyword)?.types[0];
+        if (!/^(React\.)?(Pure)?Component$/.test(base?.expression.getText())) return undefined;
+        if (base.typeArguments) propsType = checker.getTypeFromTypeNode(base.typeArguments[0]);
+        const defaultProps = declaration.members.find(member => member.name?.getText() === 'defaultProps' &&
+            member.modifiers?.some(mod => mod.kind === SyntaxKind.StaticKeyword));
+        addDefaults(defaultProps?.initializer);
+    } else {
+        let fn = declaration.kind === SyntaxKind.VariableDeclaration ? declaration.initializer : declaration;
+        let propsTypeNode = declaration.type?.getText().match(/^(React\.)?(FC|FunctionComponent|VFC|ComponentType)\b/) && declaration.type.typeArguments?.[0];
+        let isComponent = !!propsTypeNode;
+        while (fn?.kind === SyntaxKind.CallExpression && COMPONENT_WRAPPERS.includes(fn.expression.getText().replace(/^React\./, ''))) {
+            // forwardRef<Ref, Props>(...)
+            if (fn.expression.getText().endsWith('forwardRef')) propsTypeNode = fn.typeArguments?.[1] || propsTypeNode;
+            isComponent = true;
+            fn = fn.arguments[0];
+        }
+        if (!fn || ![SyntaxKind.FunctionDeclaration, SyntaxKind.FunctionExpression, SyntaxKind.ArrowFunction].includes(fn.kind)) return undefined;
+        
+        const returnType = checker.typeToString(checker.getReturnTypeOfSignature(checker.getSignatureFromDeclaration(fn)));
+        if (!isComponent && !/\b(JSX\.Element|ReactElement|ReactNode)\b/.test(returnType) && !returnsJsx(fn)) return undefined;
+        
+        const param = fn.parameters[0];
+        propsType = propsTypeNode ? checker.getTypeFromTypeNode(propsTypeNode) : param && checker.getTypeAtLocation(param);
+        if (param?.name.kind === SyntaxKind.ObjectBindingPattern) {
+            for (const element of param.name.elements) {
+                if (element.initializer) defaults.set((element.propertyName || element.name).getText(), element.initializer.getText());
+            }
+        }
+        // Name.defaultProps = {...}
+        for (const statement of declaration.getSourceFile().statements) {
+            const expression = statement.expression;
+            if (expression?.operatorToken?.kind === SyntaxKind.EqualsToken && expression.left.getText() === `${name}.defaultProps`) {
+                addDefaults(expression.right);
+            }
+        }
     }
     
-    if (declaration.parameters?.length > 0) {
-        doc += generateParameters(declaration);
+    // Leave out the props that are inherited from libraries, like the HTML attributes
+    const properties = propsType ? checker.getPropertiesOfType(propsType).filter(prop => prop.declarations?.length &&
+        !prop.declarations[0].getSourceFile().fileName.includes('/node_modules/') && !isExcluded(extractJSDoc(prop.declarations[0]), options)) : [];
+    return properties.map(prop => {
+        const propDeclaration = prop.declarations[0];
+        const model = {
+            name: prop.name,
+            type: propDeclaration.type ? propDeclaration.type.getText() : checker.typeToString(checker.getTypeOfSymbolAtLocation(prop, declaration)),
+            optional: !!(prop.flags & SymbolFlags.Optional)
+        };
+        if (defaults.has(prop.name)) model.default = defaults.get(prop.name);
+        const description = commentToString(extractJSDoc(propDeclaration)?.comment);
+        if (description) model.description = description;
+        return model;
+    });
+}
+
+/**
+ * Check if a function returns JSX (in any of its own return statements)
+ */
+function returnsJsx(fn) {
+    const isJsx = node => {
+        while (node?.kind === SyntaxKind.ParenthesizedExpression) node = node.expression;
+        if (node?.kind === SyntaxKind.ConditionalExpression) return isJsx(node.whenTrue) || isJsx(node.whenFalse);
+        return [SyntaxKind.JsxElement, SyntaxKind.JsxSelfClosingElement, SyntaxKind.JsxFragment].includes(node?.kind);
+    };
+    const visit = node => node.kind === SyntaxKind.ReturnStatement ? isJsx(node.expression) : !isFunctionLike(node) && forEachChild(node, visit);
+    return fn.body?.kind === SyntaxKind.Block ? !!forEachChild(fn.body, visit) : isJsx(fn.body);
+}
+
+/**
+ * Extract the members of an enum, with their (constant) values as code
+ */
+function extractEnumMembers(declaration, checker, options) {
+    const members = declaration.members.filter(member => !isExcluded(extractJSDoc(member), options));
+    return members.map(member => {
+        const model = { name: member.name.getText() };
+        const value = checker.getConstantValue(member);
+        const initializer = value !== undefined ? JSON.stringify(value) : member.initializer?.getText();
+        if (initializer !== undefined) model.value = initializer;
+        const comment = commentToString(extractJSDoc(member)?.comment);
+        if (comment) model.description = comment;
+        return model;
+    });
+}
+
+/**
+ * Extract the exports of a namespace, named `Namespace.name`
+ */
+function extractNamespaceMembers(declaration, checker, namespaceName, options) {
+    const members = [];
+    for (const symbol of checker.getExportsOfModule(declaration.symbol)) {
+        const model = extractSymbol(`${namespaceName}.${symbol.name}`, symbol, checker, options);
+        if (model) members.push(model);
     }
-    
-    doc += generateJSDocTags(resolvedJSDoc);
-    
-    return doc;
+    return members;
 }
 
 /**
- * Generate function documentation based on JSDoc tags
+ * Extract a signature of a function or method
  */
-function generateJSDocBasedFunctionDoc(jsDoc) {
-    let doc = '';
+function extractSignature(declaration, typeString, jsDocObject, checker) {
+    const signature = { signature: typeString };
     
-    const paramTags = jsDoc.tags.filter(tag => tag.tagName?.escapedText === 'param');
-    if (paramTags.length > 0) {
-        doc += '**Parameters:**\n\n';
-        for (const tag of paramTags) {
-            const name = tag.name?.escapedText || tag.name?.getText?.() || 'unknown';
-            const comment = commentToString(tag.comment);
-            doc += `- \`${name}\` - ${comment}\n`;
-        }
-        doc += '\n';
+    // For variable declarations, try to extract parameter info from JSDoc
+    const resolvedJSDoc = jsDocObject || extractJSDoc(declaration);
+    if (declaration.kind === SyntaxKind.VariableDeclaration && resolvedJSDoc?.tags) {
+        signature.typeParameters = [];
+        signature.parameters = extractJSDocParameters(resolvedJSDoc);
+        return Object.assign(signature, extractJSDocTags(resolvedJSDoc));
     }
     
-    return doc + generateJSDocTags(jsDoc);
+    // For function declarations, use AST
+    signature.typeParameters = extractTypeParameters(declaration.typeParameters || [], resolvedJSDoc);
+    signature.parameters = declaration.parameters ? extractParameters(declaration, checker) : [];
+    Object.assign(signature, extractJSDocTags(resolvedJSDoc));
+    // The @returns of a @callback is part of its signature
+    if (declaration.kind === SyntaxKind.JSDocSignature && declaration.type?.comment) {
+        signature.returns = commentToString(declaration.type.comment);
+    }
+    return signature;
 }
 
 /**
- * Generate type parameters documentation
+ * Get the overload signatures for a function or method declaration, leaving out
+ * the implementation signature (just like TypeScript does).
+ * @returns {Array|null} The overload declarations, or null if it's not overloaded
  */
-function generateTypeParameters(typeParameters, jsDoc = null) {
-    let doc = '**Type Parameters:**\n\n';
-    
-    // Collect template documentation from JSDoc
-    const templateDocs = new Map();
-    if (jsDoc?.tags) {
-        const templateTags = jsDoc.tags.filter(tag => tag.tagName?.escapedText === 'template');
-        
-        // For each type parameter, try to find its corresponding @template tag
-        let templateIndex = 0;
-        for (const param of typeParameters) {
-            const paramName = param.name.getText();
-            
-            // Match by position since @template tags don't have explicit parameter names
-            if (templateIndex < templateTags.length) {
-                const templateTag = templateTags[templateIndex];
-                const comment = commentToString(templateTag.comment);
-                // Remove leading "- " if present
-                const cleanComment = comment.startsWith('- ') ? comment.substring(2) : comment;
-                templateDocs.set(paramName, cleanComment);
-                templateIndex++;
-            }
-        }
-    }
+function getOverloads(declaration) {
+    const declarations = declaration.symbol?.declarations?.filter(d => d.kind === declaration.kind) || [];
+    return declarations.length > 1 ? declarations.filter(d => !d.body) : null;
+}
+
+/**
+ * Extract a signature for each overload, based on its own JSDoc
+ */
+function extractOverloads(overloads, checker) {
+    return overloads.map(overload => {
+        const signature = checker.getSignatureFromDeclaration(overload);
+        const signatureString = checker.signatureToString(signature, undefined, TypeFormatFlags.WriteArrowStyleSignature);
+        return extractSignature(overload, signatureString, extractJSDoc(overload), checker);
+    });
+}
+
+/**
+ * Extract parameters (without types) from JSDoc `@param` tags
+ */
+function extractJSDocParameters(jsDoc) {
+    return filterTags(jsDoc, 'param').map(tag => ({
+        name: tag.name?.escapedText || tag.name?.getText?.() || 'unknown',
+        description: commentToString(tag.comment)
+    }));
+}
+
+/**
+ * Extract type parameters, documented by `@template` tags
+ */
+function extractTypeParameters(typeParameters, jsDoc = null) {
+    // Match by position since @template tags don't have explicit parameter names
+    const templateTags = filterTags(jsDoc, 'template');
     
-    for (const param of typeParameters) {
-        const name = param.name.getText();
-        const constraint = param.constraint ? ` extends ${param.constraint.getText()}` : '';
-        const defaultType = param.default ? ` = ${param.default.getText()}` : '';
+    return typeParameters.map((param, index) => {
+        const model = { name: param.name.getText() };
+        if (param.constraint) model.constraint = param.constraint.getText();
+        if (param.default) model.default = param.default.getText();
         
-        // Get documentation for this parameter
-        const comment = templateDocs.get(name);
-        const commentText = comment ? ` - ${comment}` : '';
-        
-        doc += `- \`${name}${constraint}${defaultType}\`${commentText}\n`;
-    }
-    return doc + '\n';
+        const comment = templateTags[index] ? commentToString(templateTags[index].comment) : '';
+        // Remove leading "- " if present
+        const cleanComment = comment.startsWith('- ') ? comment.substring(2) : comment;
+        if (cleanComment) model.description = cleanComment;
+        return model;
+    });
 }
 
 /**
- * Generate parameters documentation
+ * Extract parameters, with their types and `@param` documentation. Without type annotations (like in
+ * JavaScript), types come from the checker, and so from `@param {type}`. The nested `@param options.name`
+ * tags of an options object become its `fields`.
  */
-function generateParameters(declaration) {
-    if (!declaration.parameters.length) return '';
-    let doc = '**Parameters:**\n\n';
-    const jsDoc = declaration.jsDoc?.[0];
+function extractParameters(declaration, checker) {
+    const paramTags = filterTags(extractJSDoc(declaration), 'param');
     
-    for (const param of declaration.parameters) {
-        const name = param.name.getText();
-        const type = param.type ? param.type.getText() : 'any';
-        const isOptional = param.questionToken ? '?' : '';
-        const hasDefault = param.initializer ? ' (optional)' : '';
-        
-        // Find JSDoc comment for this parameter
-        let comment = '';
-        if (jsDoc?.tags) {
-            const paramTag = jsDoc.tags.find(tag => 
-                tag.tagName?.escapedText === 'param' && 
-                (tag.name?.escapedText === name || tag.name?.getText?.() === name)
-            );
-            comment = paramTag?.comment ? ` - ${commentToString(paramTag.comment)}` : '';
-        }
+    return declaration.parameters.map((param, index) => {
+        // The parameters of a @callback are tags themselves, and destructured parameters are documented by position
+        const isIdentifier = param.name.kind === SyntaxKind.Identifier;
+        const paramTag = param.kind === SyntaxKind.JSDocParameterTag ? param
+            : isIdentifier ? paramTags.find(tag => tag.name?.getText() === param.name.getText()) : paramTags[index];
+        const name = isIdentifier || !paramTag ? param.name.getText() : paramTag.name.getText();
+        const fields = getJSDocTypeLiteral(paramTag)?.jsDocPropertyTags;
         
-        doc += `- \`${name}${isOptional}: ${type}\`${hasDefault}${comment}\n`;
+        const type = param.type?.getText() || (fields ? 'object' : getTagType(param, checker));
+        const model = { name, type, optional: !!param.questionToken || !!paramTag?.isBracketed };
+        if (param.initializer) model.default = param.initializer.getText();
+        if (paramTag?.comment) model.description = commentToString(paramTag.comment);
+        if (fields) model.fields = extractFields(fields, param.name, checker);
+        return model;
+    });
+}
+
+/**
+ * Get the type of a parameter, or of a JSDoc tag from its `{type}`
+ */
+function getTagType(node, checker) {
+    const typeNode = node.typeExpression?.type;
+    return typeNode ? typeNode.getText() : checker.typeToString(checker.getTypeAtLocation(node));
+}
+
+/**
+ * Get the object type that nested JSDoc tags (like `@param options.name` or `@property`) declare
+ */
+function getJSDocTypeLiteral(tag) {
+    const typeExpression = tag?.typeExpression;
+    if (typeExpression?.kind === SyntaxKind.JSDocTypeLiteral) return typeExpression;
+    return typeExpression?.type?.kind === SyntaxKind.JSDocTypeLiteral ? typeExpression.type : undefined;
+}
+
+/**
+ * Extract the fields of an options parameter from its nested JSDoc tags, with the defaults from
+ * destructuring the parameter (if it is)
+ */
+function extractFields(tags, binding, checker) {
+    const defaults = new Map();
+    for (const element of binding.kind === SyntaxKind.ObjectBindingPattern ? binding.elements : []) {
+        if (element.initializer) defaults.set((element.propertyName || element.name).getText(), element.initializer.getText());
     }
     
-    return doc + '\n';
+    return tags.map(tag => {
+        const name = tag.name.right?.getText() || tag.name.getText();
+        const nested = getJSDocTypeLiteral(tag)?.jsDocPropertyTags;
+        const model = { name, type: nested ? 'object' : getTagType(tag, checker), optional: !!tag.isBracketed };
+        if (defaults.has(name)) model.default = defaults.get(name);
+        if (tag.comment) model.description = commentToString(tag.comment);
+        if (nested) model.fields = extractFields(nested, tag.name, checker);
+        return model;
+    });
 }
 
 /**
- * Generate documentation from JSDoc tags
+ * Extract the `@returns`, `@throws` and `@example` tags
  */
-function generateJSDocTags(jsDoc) {
-    if (!jsDoc?.tags) return '';
+function extractJSDocTags(jsDoc) {
+    const model = {};
     
-    let doc = '';
-    
-    const returnTag = jsDoc.tags.find(tag => tag.tagName?.escapedText === 'returns');
+    const returnTag = findTag(jsDoc, 'returns');
     if (returnTag?.comment) {
-        doc += `**Returns:** ${commentToString(returnTag.comment)}\n\n`;
+        model.returns = commentToString(returnTag.comment);
     }
     
-    const throwsTags = jsDoc.tags.filter(tag => tag.tagName?.escapedText === 'throws');
+    const throwsTags = filterTags(jsDoc, 'throws');
     if (throwsTags.length > 0) {
-        doc += '**Throws:**\n\n';
-        throwsTags.forEach(tag => doc += `- ${commentToString(tag.comment)}\n`);
-        doc += '\n';
+        model.throws = throwsTags.map(tag => commentToString(tag.comment));
     }
     
-    const exampleTags = jsDoc.tags.filter(tag => tag.tagName?.escapedText === 'example');
+    const exampleTags = filterTags(jsDoc, 'example');
     if (exampleTags.length > 0) {
-        doc += '**Examples:**\n\n';
-        exampleTags.forEach(tag => doc += `${commentToString(tag.comment)}\n\n`);
+        model.examples = exampleTags.map(tag => commentToString(tag.comment));
+        exampleSources.set(model.examples, exampleTags);
     }
     
-    return doc;
+    return model;
 }
 
 /**
- * Generate documentation for class declarations
+ * Extract the model parts of a class or interface declaration, or of a type alias with the given members
  */
-function generateClassDoc(declaration, typeString, checker, headingPrefix, className, sourceFile, repoUrl) {
-    let doc = '';
-    
+function extractClass(declaration, typeString, checker, className, options, members = declaration.members || []) {
     // Handle variable declarations that reference classes
     if (declaration.kind === SyntaxKind.VariableDeclaration) {
-        return `**Type:** \`${typeString}\`\n\n`;
-    }
-    
-    // Generate type parameters documentation for classes
-    if (declaration.typeParameters?.length > 0) {
-        const jsDoc = extractJSDoc(declaration);
-        doc += generateTypeParameters(declaration.typeParameters, jsDoc);
+        return { type: typeString };
     }
     
-    // Generate JSDoc tags (examples, etc.) for the class
     const jsDoc = extractJSDoc(declaration);
-    doc += generateJSDocTags(jsDoc);
+    const model = {
+        ...extractHeritage(declaration),
+        typeParameters: extractTypeParameters(declaration.typeParameters || [], jsDoc),
+        ...extractJSDocTags(jsDoc)
+    };
     
-    // Extract constructor documentation
+    // Extract constructor documentation, including the parameters that lack a @param tag
     const constructor = declaration.members?.find(m => m.kind === SyntaxKind.Constructor);
-    const constructorJSDoc = constructor ? extractJSDoc(constructor) : null;
-    if (constructorJSDoc?.tags) {
-        const paramTags = constructorJSDoc.tags.filter(tag => 
-            tag.tagName?.escapedText === 'param'
-        );
-        if (paramTags.length > 0) {
-            doc += '**Constructor Parameters:**\n\n';
-            paramTags.forEach(tag => {
-                const name = tag.name?.escapedText || tag.name?.getText?.() || 'unknown';
-                doc += `- \`${name}\`: ${commentToString(tag.comment)}\n`;
-            });
-            doc += '\n';
-        }
+    const paramTags = extractJSDocParameters(constructor ? extractJSDoc(constructor) : null);
+    const params = (constructor?.parameters || []).map(param =>
+        paramTags.find(tag => tag.name === param.name.getText()) || { name: param.name.getText() });
+    const constructorParams = [...params, ...paramTags.filter(tag => !params.includes(tag))];
+    if (constructorParams.length > 0) {
+        model.constructorParameters = constructorParams;
+    }
+    
+    if (options.inherited) {
+        model.inherited = extractInherited(declaration, checker, options);
     }
     
     // Document class members
-    const members = declaration.members || [];
     const publicMembers = members.filter(m => 
-        !m.modifiers?.some(mod => mod.kind === SyntaxKind.PrivateKeyword) &&
-        !m.name?.getText().startsWith('_') && m.kind !== SyntaxKind.Constructor
+        isPublicMember(m) && m.kind !== SyntaxKind.Constructor && !isExcluded(extractJSDoc(m), options) &&
+        // Overloads are documented together, under the first declaration (while index signatures share a symbol)
+        (m.kind === SyntaxKind.IndexSignature || m.symbol?.declarations?.find(d => d.kind === m.kind) === m)
     );
     
-    publicMembers.forEach(member => {
+    model.members = publicMembers.map(member => {
         const isStatic = member.modifiers?.some(mod => mod.kind === SyntaxKind.StaticKeyword);
-        doc += generateClassMemberDoc(member, checker, isStatic, headingPrefix, className, sourceFile, repoUrl);
+        return extractClassMember(member, checker, isStatic, className, options);
     });
     
-    return doc;
+    return model;
 }
 
 /**
- * Generate documentation for a class member
+ * Check if a class or interface member should be documented
  */
-function generateClassMemberDoc(member, checker, isStatic, headingPrefix, className, sourceFile, repoUrl) {
-    const memberName = member.name?.getText() || (member.kind === SyntaxKind.ConstructSignature ? 'new' : 'unknown');
-    let memberType = getMemberType(member, isStatic);
-    
-    const prefix = isStatic ? className : className.charAt(0).toLowerCase() + className.slice(1);
-    const heading = `${prefix}.${memberName}`;
-    
-    // Add an optional deep link to the member type
-    if (repoUrl && member.pos !== undefined && sourceFile) {
-        const lineNumber = sourceFile.getLineAndCharacterOfPosition(member.getStart()).line + 1;
-        const deepLink = generateDeepLink(repoUrl, sourceFile.fileName, lineNumber);
-        if (deepLink) {
-            memberType = `[${memberType}](${deepLink})`;
-        }
+function isPublicMember(member) {
+    return member && !member.modifiers?.some(mod => mod.kind === SyntaxKind.PrivateKeyword) &&
+        !member.name?.getText().startsWith('_');
+}
+
+/**
+ * Extract the `extends` and `implements` types of a class or interface
+ */
+function extractHeritage(declaration) {
+    const model = {};
+    for (const clause of declaration.heritageClauses || []) {
+        const key = clause.token === SyntaxKind.ExtendsKeyword ? 'extends' : 'implements';
+        model[key] = clause.types.map(type => type.getText());
     }
+    return model;
+}
+
+/**
+ * Extract the members inherited from base classes and interfaces, with the
+ * generic type arguments of the base type applied
+ */
+function extractInherited(declaration, checker, options) {
+    const type = checker.getDeclaredTypeOfSymbol(declaration.symbol);
+    const ownNames = new Set(declaration.members.map(m => m.name?.getText()));
+    const inherited = [];
+    for (const baseType of checker.getBaseTypes(type) || []) {
+        const properties = checker.getPropertiesOfType(baseType).filter(prop =>
+            isPublicMember(prop.declarations?.[0]) && !isExcluded(extractJSDoc(prop.declarations[0]), options)
+        );
+        if (!properties.length) continue;
+        inherited.push({
+            from: checker.typeToString(baseType),
+            members: properties.map(prop => ({
+                name: prop.name,
+                type: checker.typeToString(checker.getTypeOfSymbolAtLocation(prop, declaration)),
+                overridden: ownNames.has(prop.name)
+            }))
+        });
+    }
+    return inherited;
+}
+
+/**
+ * Extract the model for a class member
+ */
+function extractClassMember(member, checker, isStatic, className, options) {
+    // Instances are named after their class, like `Shapes.circle` for a `Shapes.Circle`
+    const prefix = isStatic ? className : className.replace(/[^.]+$/, name => name.charAt(0).toLowerCase() + name.slice(1));
+    // Signatures are named after their use, like `formatter()` and `formatter[name: string]`
+    const suffix = {
+        [SyntaxKind.ConstructSignature]: '.new',
+        [SyntaxKind.CallSignature]: '()',
+        [SyntaxKind.IndexSignature]: `[${member.parameters?.[0]?.getText()}]`
+    }[member.kind] || `.${member.name?.getText() || 'unknown'}`;
+    const model = { name: prefix + suffix, kind: getMemberType(member, isStatic), location: getLocation(member) };
     
-    let doc = `${headingPrefix}# ${heading} · ${memberType}\n\n`;
+    // Add an optional deep link to the member
+    if (options.repoUrl) {
+        model.link = generateNodeLink(options, member);
+    }
     
     const jsDocObject = extractJSDoc(member);
-    if (jsDocObject?.comment) {
-        doc += `${commentToString(jsDocObject.comment)}\n\n`;
-    }
+    Object.assign(model, extractDescription(jsDocObject));
     
     try {
-        const symbol = checker.getSymbolAtLocation(member.name);
-        if (symbol) {
-            const type = checker.getTypeOfSymbolAtLocation(symbol, member);
-            const typeString = checker.typeToString(type);
-            
-            if (member.kind === SyntaxKind.MethodDeclaration) {
-                doc += `**Signature:** \`${typeString}\`\n\n`;
-                doc += generateParameters(member);
-                doc += generateJSDocTags(jsDocObject);
+        const isMethod = [SyntaxKind.MethodDeclaration, SyntaxKind.MethodSignature, SyntaxKind.CallSignature, SyntaxKind.ConstructSignature].includes(member.kind);
+        const symbol = member.name && checker.getSymbolAtLocation(member.name) || member.symbol;
+        if (member.kind === SyntaxKind.IndexSignature) {
+            model.type = checker.typeToString(checker.getTypeFromTypeNode(member.type));
+        } else if (symbol) {
+            const overloads = isMethod && getOverloads(member);
+            if (overloads) {
+                model.signatures = extractOverloads(overloads, checker);
+            } else if (isMethod) {
+                const signature = checker.signatureToString(checker.getSignatureFromDeclaration(member), undefined, TypeFormatFlags.WriteArrowStyleSignature);
+                model.signatures = [extractSignature(member, signature, jsDocObject, checker)];
             } else {
-                doc += `**Type:** \`${typeString}\`\n\n`;
-                if (jsDocObject?.tags) {
-                    const exampleTags = jsDocObject.tags.filter(tag => 
-                        tag.tagName?.escapedText === 'example'
-                    );
-                    if (exampleTags.length > 0) {
-                        doc += '**Examples:**\n\n';
-                        exampleTags.forEach(tag => doc += `${commentToString(tag.comment)}\n\n`);
-                    }
-                }
+                model.type = checker.typeToString(checker.getTypeOfSymbolAtLocation(symbol, member));
+                const { examples } = extractJSDocTags(jsDocObject);
+                if (examples) model.examples = examples;
             }
         }
     } catch (error) {
-        doc += '*Type information unavailable*\n\n';
+        model.unavailable = true;
     }
     
-    return doc;
+    return model;
 }
 
 /**
@@ -567,20 +1308,469 @@ function generateClassMemberDoc(member, checker, isStatic, headingPrefix, classN
  */
 function getMemberType(member, isStatic) {
     const isAbstract = member.modifiers?.some(mod => mod.kind === SyntaxKind.AbstractKeyword);
+    const isReadonly = member.modifiers?.some(mod => mod.kind === SyntaxKind.ReadonlyKeyword);
     const abstractPrefix = isAbstract ? 'abstract ' : '';
     const staticPrefix = isStatic ? 'static ' : '';
-    const prefix = abstractPrefix + staticPrefix;
+    const prefix = abstractPrefix + staticPrefix + (isReadonly ? 'readonly ' : '') + (member.questionToken || member.isBracketed ? 'optional ' : '');
     
     const typeMap = {
         [SyntaxKind.MethodDeclaration]: 'method',
+        [SyntaxKind.MethodSignature]: 'method',
         [SyntaxKind.PropertyDeclaration]: 'property',
+        [SyntaxKind.PropertySignature]: 'property',
+        [SyntaxKind.JSDocPropertyTag]: 'property',
         [SyntaxKind.GetAccessor]: 'getter',
         [SyntaxKind.SetAccessor]: 'setter',
-        [SyntaxKind.ConstructSignature]: 'constructor'
+        [SyntaxKind.ConstructSignature]: 'constructor',
+        [SyntaxKind.CallSignature]: 'call signature',
+        [SyntaxKind.IndexSignature]: 'index signature'
     };
     return prefix + (typeMap[member.kind] || 'member');
 }
 
+/**
+ * Render the heading of a symbol or member, like "### name · [kind](link)"
+ * @param {object} symbol The symbol model
+ * @param {string} headingPrefix The heading prefix (e.g., '###')
+ * @param {string} [title] The text to show instead of the symbol name
+ */
+function renderHeading(symbol, headingPrefix, title = symbol.name) {
+    if (!symbol.kind) return `${headingPrefix} ${title}`;
+    return `${headingPrefix} ${title} · ${symbol.link ? `[${symbol.kind}](${symbol.link})` : symbol.kind}`;
+}
+
+/**
+ * Render a symbol model (see `generateModel`) as markdown, with its members one heading level deeper
+ */
+function renderSymbol(symbol, headingPrefix) {
+    let doc = `${renderHeading(symbol, headingPrefix)}\n\n`;
+    if (!symbol.kind) {
+        return doc + '*No declaration found*\n\n';
+    }
+    
+    doc += renderDescription(symbol);
+    if (symbol.unavailable) {
+        doc += '*Type information unavailable*\n\n';
+    }
+    for (const signature of symbol.signatures || []) {
+        doc += renderSignature(signature);
+    }
+    doc += renderProps(symbol.props);
+    if (symbol.type !== undefined) {
+        doc += `**Type:** ${typeCode(symbol.type)}\n\n`;
+    }
+    if (symbol.value !== undefined) {
+        doc += `**Value:** \`${symbol.value}\`\n\n`;
+    }
+    if (symbol.extends) {
+        doc += `**Extends:** ${symbol.extends.map(type => typeCode(type)).join(', ')}\n\n`;
+    }
+    if (symbol.implements) {
+        doc += `**Implements:** ${symbol.implements.map(type => typeCode(type)).join(', ')}\n\n`;
+    }
+    doc += renderTypeParameters(symbol.typeParameters);
+    doc += renderTags(symbol);
+    
+    if (symbol.constructorParameters) {
+        doc += '**Constructor Parameters:**\n\n';
+        symbol.constructorParameters.forEach(param => doc += `- \`${param.name}\`${param.description ? `: ${param.description}` : ''}\n`);
+        doc += '\n';
+    }
+    
+    if (symbol.enumMembers?.length) {
+        doc += '**Members:**\n\n';
+        for (const member of symbol.enumMembers) {
+            const value = member.value !== undefined ? ` = ${member.value}` : '';
+            doc += `- \`${member.name}${value}\`${member.description ? ` - ${member.description}` : ''}\n`;
+        }
+        doc += '\n';
+    }
+    
+    for (const base of symbol.inherited || []) {
+        doc += `**Inherited from ${typeCode(base.from)}:**\n\n`;
+        for (const member of base.members) {
+            doc += `- ${typeCode(`${member.name}: ${member.type}`)}${member.overridden ? ' (overridden)' : ''}\n`;
+        }
+        doc += '\n';
+    }
+    
+    for (const member of symbol.members || []) {
+        doc += renderSymbol(member, `${headingPrefix}#`);
+    }
+    
+    return doc;
+}
+
+/**
+ * Render the description, preceded by a deprecation notice and followed by
+ * the `@since` and `@see` tags
+ */
+function renderDescription(symbol) {
+    let doc = '';
+    if (symbol.deprecated) {
+        doc += `> **Deprecated**${symbol.deprecated === true ? '' : `: ${symbol.deprecated}`}\n\n`;
+    }
+    if (symbol.description !== undefined) {
+        doc += `${symbol.description}\n\n`;
+    }
+    if (symbol.since !== undefined) {
+        doc += `**Since:** ${symbol.since}\n\n`;
+    }
+    if (symbol.see) {
+        doc += '**See also:**\n\n' + symbol.see.map(see => `- ${see}\n`).join('') + '\n';
+    }
+    return doc;
+}
+
+/**
+ * Render a function or method signature, with its (type) parameters and tags
+ */
+function renderSignature(signature) {
+    return `**Signature:** ${typeCode(signature.signature)}\n\n` +
+        renderTypeParameters(signature.typeParameters) +
+        renderParameters(signature.parameters) +
+        renderTags(signature);
+}
+
+/**
+ * Render type parameters, with their constraints and defaults
+ */
+function renderTypeParameters(typeParameters) {
+    if (!typeParameters?.length) return '';
+    let doc = '**Type Parameters:**\n\n';
+    for (const param of typeParameters) {
+        const constraint = param.constraint ? ` extends ${param.constraint}` : '';
+        const defaultType = param.default ? ` = ${param.default}` : '';
+        doc += `- \`${param.name}${constraint}${defaultType}\`${param.description ? ` - ${param.description}` : ''}\n`;
+    }
+    return doc + '\n';
+}
+
+/**
+ * Render parameters. Parameters that were only documented by `@param` tags have no type.
+ */
+function renderParameters(parameters) {
+    if (!parameters?.length) return '';
+    return '**Parameters:**\n\n' + renderParameterList(parameters, '') + '\n';
+}
+
+/**
+ * Render a list of parameters, with the fields of options parameters as nested lists
+ */
+function renderParameterList(parameters, indent) {
+    let doc = '';
+    for (const param of parameters) {
+        if (param.type === undefined) {
+            doc += `${indent}- \`${param.name}\` - ${param.description}\n`;
+            continue;
+        }
+        const hasDefault = param.default !== undefined ? ' (optional)' : '';
+        const comment = param.description ? ` - ${param.description}` : '';
+        doc += `${indent}- ${typeCode(`${param.name}${param.optional ? '?' : ''}: ${param.type}`)}${hasDefault}${comment}\n`;
+        if (param.fields) doc += renderParameterList(param.fields, `${indent}  `);
+    }
+    return doc;
+}
+
+/**
+ * Render the props of a component as a table
+ */
+function renderProps(props) {
+    if (!props?.length) return '';
+    const cell = text => text.replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|');
+    let doc = '**Props:**\n\n| Name | Type | Required | Default | Description |\n| --- | --- | --- | --- | --- |\n';
+    for (const prop of props) {
+        const defaultValue = prop.default !== undefined ? `\`${cell(prop.default)}\`` : '';
+        doc += `| \`${prop.name}\` | ${typeCode(cell(prop.type))} | ${prop.optional ? 'no' : 'yes'} | ${defaultValue} | ${cell(prop.description || '')} |\n`;
+    }
+    return doc + '\n';
+}
+
+/**
+ * Render the `@returns`, `@throws` and `@example` tags
+ */
+function renderTags(model) {
+    let doc = '';
+    if (model.returns !== undefined) {
+        doc += `**Returns:** ${model.returns}\n\n`;
+    }
+    if (model.throws) {
+        doc += '**Throws:**\n\n' + model.throws.map(text => `- ${text}\n`).join('') + '\n';
+    }
+    if (model.examples) {
+        doc += '**Examples:**\n\n' + model.examples.map(text => `${text}\n\n`).join('');
+    }
+    return doc;
+}
+
+/** Delimits type strings within generated markdown, in which documented type names get linked */
+const TYPE = '\uE001';
+
+/**
+ * Mark a type (or signature) string to be rendered as code, with links to documented types
+ */
+function typeCode(text) {
+    return `${TYPE}${text}${TYPE}`;
+}
+
+/**
+ * Build an index of all documented symbols, from the generated headings in the given files.
+ * @param {Array<{name: string, content: string}>} files The files (by name) that make up the documentation
+ * @returns {Map<string, {file: string, anchor: string}>} Link targets by symbol name
+ */
+function buildLinkIndex(files) {
+    const index = new Map();
+    for (const file of files) {
+        const slugCounts = new Map();
+        for (const [, hashes, text] of file.content.matchAll(/^(#{1,6})\s+(.*)$/gm)) {
+            const anchor = slugify(text, slugCounts);
+            
+            // Skip headings that are not generated, and split mode summaries (which link to the details)
+            const name = extractSymbolName(`${hashes} ${text}`);
+            if (!text.includes(' · ') || name.startsWith('[')) continue;
+            const target = { file: file.name, anchor };
+            // Instance members use a lower-cased class name, but may be linked as `Class.member`
+            const keys = name.includes('.') ? [name, name.charAt(0).toUpperCase() + name.slice(1)] : [name];
+            for (const key of keys) {
+                if (!index.has(key)) index.set(key, target);
+            }
+        }
+    }
+    return index;
+}
+
+/**
+ * Derive the anchor for a heading from its rendered text, like GitHub does
+ * @param {string} text The heading text (markdown)
+ * @param {Map<string, number>} slugCounts The anchors used so far in the file, to make this one unique
+ */
+function slugify(text, slugCounts) {
+    const anchor = text.replace(/\[([^\]]*)\]\([^)]*\)/g, '$1').trim().toLowerCase()
+        .replace(/[^\p{L}\p{N}\s_-]/gu, '').replace(/\s/g, '-');
+    const count = slugCounts.get(anchor) || 0;
+    slugCounts.set(anchor, count + 1);
+    return count ? `${anchor}-${count}` : anchor;
+}
+
+/**
+ * Replace `{@link}` tags and type placeholders in generated markdown with markdown links to
+ * documented symbols (or with plain text, for symbols that are not documented).
+ * @param {string} content The generated markdown
+ * @param {string} fileName The name of the file the content is written to
+ * @param {Map} index The link index, as created by `buildLinkIndex`
+ * @returns {string}
+ */
+function resolveLinks(content, fileName, index) {
+    const getHref = name => {
+        const target = index.get(name);
+        if (!target) return undefined;
+        return (target.file === fileName ? '' : target.file) + `#${target.anchor}`;
+    };
+    
+    return content
+        .replace(/\{@(link|linkcode|linkplain) ([^\s|}]+)(?: \| ([^}]*))?\}/g, (_, tag, target, text) => {
+            const label = text || (tag === 'linkplain' ? target : `\`${target}\``);
+            const href = getHref(target);
+            if (href) return `[${label}](${href})`;
+            console.warn(`Warning: cannot link to undocumented symbol "${target}" in ${fileName}`);
+            return label;
+        })
+        .replace(new RegExp(`${TYPE}([^${TYPE}]*)${TYPE}`, 'g'), (_, code) => {
+            // Link identifiers that are not property/parameter names, members or string contents
+            let result = '', last = 0;
+            for (const match of code.matchAll(/(?<![\w$.'"])[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*(?![\w$.'"]|\??:)/g)) {
+                const href = getHref(match[0]);
+                if (!href) continue;
+                result += wrapCode(code.substring(last, match.index)) + `[\`${match[0]}\`](${href})`;
+                last = match.index + match[0].length;
+            }
+            return result + wrapCode(code.substring(last));
+        });
+}
+
+function wrapCode(text) {
+    return text ? `\`${text}\`` : '';
+}
+
+/** The groups of symbol kinds, for the HTML sidebar and the summary table (the rest goes under 'Constants') */
+const KIND_GROUPS = {
+    'function': 'Functions',
+    'class': 'Classes',
+    'abstract class': 'Classes',
+    'component': 'Components',
+    'interface': 'Types',
+    'type': 'Types',
+    'enum': 'Types',
+    'const enum': 'Types',
+    'namespace': 'Namespaces',
+    'module': 'Namespaces'
+};
+
+/**
+ * Group symbols by (the group of) their kinds, see `KIND_GROUPS`
+ * @returns {Map<string, object[]>} The symbols by group name, for all groups in display order
+ */
+function groupByKind(symbols) {
+    const groups = new Map(['Functions', 'Components', 'Classes', 'Types', 'Namespaces', 'Constants'].map(group => [group, []]));
+    for (const symbol of symbols) groups.get(KIND_GROUPS[symbol.kind] || 'Constants').push(symbol);
+    return groups;
+}
+
+const HTML_STYLE = `
+body { margin: 0; display: flex; font: 16px/1.5 system-ui, sans-serif; color: #1f2328; }
+nav { position: sticky; top: 0; height: 100vh; overflow-y: auto; box-sizing: border-box; width: 260px; flex-shrink: 0; padding: 16px; background: #f6f8fa; border-right: 1px solid #d1d9e0; font-size: 14px; }
+nav h2 { font-size: 12px; text-transform: uppercase; color: #59636e; margin: 16px 0 4px; }
+nav ul { list-style: none; margin: 0; padding: 0; }
+nav a, main a { color: #0969da; text-decoration: none; }
+nav .title { font-weight: 600; color: #1f2328; }
+main { flex: 1; min-width: 0; max-width: 960px; padding: 16px 32px; }
+h2, h3, h4, h5, h6 { margin-top: 32px; border-bottom: 1px solid #d1d9e0; }
+code { font: 14px ui-monospace, monospace; background: #eff1f3; padding: 2px 4px; border-radius: 4px; }
+pre { background: #f6f8fa; padding: 16px; overflow-x: auto; border-radius: 6px; }
+pre code { background: none; padding: 0; }
+table { border-collapse: collapse; } th, td { border: 1px solid #d1d9e0; padding: 4px 12px; text-align: left; }
+blockquote { margin: 0; padding: 0 16px; border-left: 4px solid #d1d9e0; color: #59636e; }
+.keyword { color: #cf222e; } .string { color: #0a3069; } .number { color: #0550ae; } .comment { color: #59636e; } .type { color: #953800; }
+`;
+
+/**
+ * Render a standalone HTML page, with a sidebar
+ */
+function renderHtmlPage(title, nav, body) {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<nav>
+${nav}</nav>
+<main>
+${body}</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the sidebar table of contents, linking to the documented symbols grouped by kind
+ * @param {object[]} symbols The documented symbols
+ * @param {Map} index The link index, as created by `buildLinkIndex`
+ * @param {string} fileName The page the sidebar is rendered for
+ * @param {string} mainName The main page
+ * @param {string} title The title, linking to the main page
+ */
+function renderHtmlNav(symbols, index, fileName, mainName, title) {
+    let html = `<a class="title" href="${escapeHtml(mainName)}">${escapeHtml(title)}</a>\n`;
+    for (const [group, members] of groupByKind(symbols)) {
+        const items = members.filter(symbol => index.has(symbol.name)).map(symbol => {
+            const target = index.get(symbol.name);
+            const href = (target.file === fileName ? '' : target.file) + `#${target.anchor}`;
+            return `<li><a href="${escapeHtml(href)}">${escapeHtml(symbol.name)}</a></li>\n`;
+        });
+        if (items.length) html += `<h2>${group}</h2>\n<ul>\n${items.join('')}</ul>\n`;
+    }
+    return html;
+}
+
+/**
+ * Convert (generated) markdown to HTML. Supports headings (with GitHub-style anchors), paragraphs,
+ * lists, tables, block quotes, fenced code blocks and inline code, links, bold, italic and strikethrough.
+ */
+function markdownToHtml(markdown) {
+    const lines = markdown.split('\n');
+    const slugCounts = new Map();
+    let html = '';
+    for (let i = 0; i < lines.length; ) {
+        const line = lines[i];
+        let match;
+        if (line.startsWith('```')) {
+            const end = lines.indexOf('```', i + 1) === -1 ? lines.length : lines.indexOf('```', i + 1);
+            html += `<pre><code>${highlight(lines.slice(i + 1, end).join('\n'))}</code></pre>\n`;
+            i = end + 1;
+        } else if ((match = line.match(/^(#{1,6})\s+(.*)$/))) {
+            const level = match[1].length;
+            html += `<h${level} id="${escapeHtml(slugify(match[2], slugCounts))}">${inlineToHtml(match[2])}</h${level}>\n`;
+            i++;
+        } else if (line.startsWith('|')) {
+            // A table, with a header row and a delimiter row
+            const cells = row => row.replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => inlineToHtml(cell.trim().replace(/\\\|/g, '|')));
+            html += `<table>\n<tr>${cells(line).map(cell => `<th>${cell}</th>`).join('')}</tr>\n`;
+            for (i += 2; i < lines.length && lines[i].startsWith('|'); i++) {
+                html += `<tr>${cells(lines[i]).map(cell => `<td>${cell}</td>`).join('')}</tr>\n`;
+            }
+            html += '</table>\n';
+        } else if (/^[-*] /.test(line)) {
+            html += '<ul>\n';
+            while (i < lines.length && /^[-*] /.test(lines[i])) {
+                // Include continuation lines, and render indented items as a nested list
+                let item = lines[i++].substring(2);
+                let nested = '';
+                while (i < lines.length && lines[i].trim() && !/^([-*] |#|```)/.test(lines[i])) {
+                    if (nested || /^\s+[-*] /.test(lines[i])) nested += lines[i++].replace(/^ {2}/, '') + '\n';
+                    else item += '\n' + lines[i++];
+                }
+                html += `<li>${inlineToHtml(item)}${nested && '\n' + markdownToHtml(nested)}</li>\n`;
+            }
+            html += '</ul>\n';
+        } else if (line.trim()) {
+            // Paragraph or block quote, ending at a blank line or the start of another block
+            const start = i;
+            while (i < lines.length && lines[i].trim() && !(i > start && /^([-*] |#|```)/.test(lines[i]))) i++;
+            const text = lines.slice(start, i).join('\n');
+            html += line.startsWith('>')
+                ? `<blockquote><p>${inlineToHtml(text.replace(/^> ?/gm, ''))}</p></blockquote>\n`
+                : `<p>${inlineToHtml(text)}</p>\n`;
+        } else {
+            i++;
+        }
+    }
+    return html;
+}
+
+/**
+ * Convert inline markdown to HTML
+ */
+function inlineToHtml(text) {
+    const codes = [];
+    text = text.replace(/`([^`]+)`/g, (_, code) => `\uE002${codes.push(highlight(code)) - 1}\uE002`);
+    return escapeHtml(text)
+        .replace(/\[([^\]]*)\]\(([^)\s]*)\)/g, '<a href="$2">$1</a>')
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/~~(.+?)~~/g, '<del>$1</del>')
+        .replace(/(^|[^\w*])\*([^*\s](?:[^*]*[^*\s])?)\*(?![\w*])/g, '$1<em>$2</em>')
+        .replace(/\uE002(\d+)\uE002/g, (_, index) => `<code>${codes[index]}</code>`);
+}
+
+const KEYWORDS = new Set(('abstract any as async await bigint boolean break case catch class const continue declare default ' +
+    'delete do else enum export extends false finally for from function if implements import in infer instanceof interface ' +
+    'keyof let namespace never new null number object private protected public readonly return static string super switch ' +
+    'symbol this throw true try type typeof undefined unknown var void while yield').split(' '));
+
+/**
+ * Syntax highlight TypeScript code as HTML
+ */
+function highlight(code) {
+    let html = '', last = 0;
+    const tokens = /(\/\/.*|\/\*[\s\S]*?\*\/)|('(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\.|[^`\\])*`)|\b(\d[\d_]*(?:\.\d+)?)\b|([A-Za-z_$][\w$]*)/g;
+    for (const match of code.matchAll(tokens)) {
+        const [text, comment, string, number, word] = match;
+        const className = comment ? 'comment' : string ? 'string' : number ? 'number'
+            : KEYWORDS.has(word) ? 'keyword' : /^[A-Z]/.test(word) ? 'type' : '';
+        html += escapeHtml(code.substring(last, match.index)) +
+            (className ? `<span class="${className}">${escapeHtml(text)}</span>` : escapeHtml(text));
+        last = match.index + text.length;
+    }
+    return html + escapeHtml(code.substring(last));
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
 /**
  * Find the next heading boundary after a given position
  * @param {string} text The text to search in
@@ -602,21 +1792,150 @@ function findNextHeadingBoundary(text, startPos, maxLevel) {
     return text.length;
 }
 
+/** The options that can be given per marker (in an HTML comment following it), with their value types */
+const MARKER_OPTIONS = {
+    include: 'string',
+    exclude: 'string',
+    members: 'string',
+    sort: 'string',
+    heading: 'number',
+    split: 'boolean',
+    toc: 'boolean',
+    tocByKind: 'boolean',
+    inherited: 'boolean',
+    repoUrl: 'string',
+    ref: 'string',
+    diff: 'string'
+};
+
+/**
+ * Parse the options of a marker, like `include=connect,open* sort=name split`
+ * @param {string} [text] The contents of the HTML comment following the marker, if any
+ * @param {string} location The location of the marker, for error messages
+ */
+function parseMarkerOptions(text, location) {
+    const options = {};
+    for (const [, option, value] of (text || '').matchAll(/([\w-]+)(?:=(\S*))?/g)) {
+        // repo-url => repoUrl
+        const key = option.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+        const type = MARKER_OPTIONS[key];
+        if (!type) {
+            const known = Object.keys(MARKER_OPTIONS).map(key => key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`));
+            throw new Error(`${location}: unknown marker option "${option}" (expected one of: ${known.join(', ')})`);
+        }
+        if (type === 'boolean') {
+            if (value !== undefined && value !== 'true' && value !== 'false') {
+                throw new Error(`${location}: marker option "${option}" should be true or false, but got "${value}"`);
+            }
+            options[key] = value !== 'false';
+        } else if (!value) {
+            throw new Error(`${location}: marker option "${option}" requires a value`);
+        } else {
+            options[key] = type === 'number' ? Number(value) : value;
+        }
+    }
+    
+    if (options.sort !== undefined && !['source', 'name', 'kind'].includes(options.sort)) {
+        throw new Error(`${location}: unknown sort order "${options.sort}" (expected source, name or kind)`);
+    }
+    if (options.heading !== undefined && !(Number.isInteger(options.heading) && options.heading >= 1 && options.heading <= 6)) {
+        throw new Error(`${location}: marker option "heading" should be a heading level from 1 to 6`);
+    }
+    return options;
+}
+
+/**
+ * Select the symbols to document, according to the `members`, `include`, `exclude` and `sort` marker options
+ * @param {object[]} symbols The symbols, as extracted by `generateModel`
+ * @param {object} options The options, see `MARKER_OPTIONS`
+ * @param {string} [location] The `file:line` of the marker, for error messages
+ */
+function selectSymbols(symbols, options, location = undefined) {
+    if (options.members) {
+        const parent = symbols.find(symbol => symbol.name === options.members);
+        if (!parent) throw new Error(`${location ? `${location}: ` : ''}cannot document the members of "${options.members}", as it is not exported`);
+        symbols = parent.members || [];
+    }
+    
+    // Comma-separated names or glob patterns, which may leave out the class name for members
+    const matches = (symbol, patterns) => patterns.split(',').some(pattern => {
+        const regex = new RegExp('^' + pattern.trim().replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+        return regex.test(symbol.name) || regex.test(symbol.name.split('.').pop());
+    });
+    if (options.include) symbols = symbols.filter(symbol => matches(symbol, options.include));
+    if (options.exclude) symbols = symbols.filter(symbol => !matches(symbol, options.exclude));
+    
+    if (options.sort === 'name') return [...symbols].sort((a, b) => a.name.localeCompare(b.name));
+    if (options.sort === 'kind') return [...groupByKind(symbols).values()].flat();
+    return symbols;
+}
+
+const REGION_BEGIN = 'readme-tsdoc:begin';
+const REGION_END = 'readme-tsdoc:end';
+
+/**
+ * Find the regions delimited by begin and end markers, checking that these are balanced
+ * @returns {Array<{start: number, end: number, content: string, hash?: string, location: string}>} The regions, from
+ *   the start of the begin marker to the end of the end marker's line, with the content between them
+ */
+function findRegions(text, filePath) {
+    const regions = [];
+    let begin;
+    for (const match of text.matchAll(new RegExp(`^<!-- (${REGION_BEGIN}|${REGION_END})(?: (\\w+))? -->[ \\t]*(?:\\n|$)`, 'gm'))) {
+        const location = `${filePath}:${text.substring(0, match.index).split('\n').length}`;
+        if (match[1] === REGION_BEGIN) {
+            if (begin) throw new Error(`${begin.location}: begin marker without an end marker`);
+            begin = { start: match.index, contentStart: match.index + match[0].length, hash: match[2], location };
+        } else {
+            if (!begin) throw new Error(`${location}: end marker without a begin marker`);
+            const { contentStart, ...region } = begin;
+            regions.push({ ...region, end: match.index + match[0].length, content: text.substring(contentStart, match.index) });
+            begin = undefined;
+        }
+    }
+    if (begin) throw new Error(`${begin.location}: begin marker without an end marker`);
+    return regions;
+}
+
+/**
+ * Hash generated content, to detect hand edits
+ */
+function hashContent(content) {
+    return createHash('sha256').update(content.trim()).digest('hex').substring(0, 16);
+}
+
 /**
  * Update README file with auto-generated TypeScript documentation
  * @param {string} readmePath Path to the README file to update
  * @param {string} searchPhrase The phrase to search for in the README to mark sections for auto-generation
- * @param {string} [repoUrl] Optional repository URL for generating deep links (e.g., 'https://github.com/vanviegen/readme-tsdoc')
- * @param {boolean} [split] When true, generate split documentation with brief overview in main file and details in separate files
- * @returns {Promise<void>}
+ * @param {object} [options]
+ * @param {string} [options.repoUrl] Repository URL for generating deep links (see {@link generateMarkdownDoc})
+ * @param {string} [options.ref] The branch, tag or commit to link to (default: 'main'), or 'auto'
+ * @param {boolean} [options.inherited] When true, list the members that classes and interfaces inherit
+ * @param {string[]} [options.excludeTags] Leave out symbols and members having any of these JSDoc tags (e.g. `['internal', 'alpha']`)
+ * @param {string} [options.tsconfig] Path to the tsconfig.json to compile with (default: the one nearest to the source file)
+ * @param {boolean} [options.split] When true, generate split documentation with brief overview in main file and details in separate files
+ * @param {boolean} [options.toc] When true, start each generated section with a summary table linking to the symbols
+ * @param {boolean} [options.tocByKind] Like `toc`, but with a table per kind of symbol (functions, classes, types, etc)
+ * @param {boolean} [options.check] When true, don't write anything, but print a diff of stale sections and files
+ * @param {boolean} [options.verifyExamples] When true, also type-check the examples of the documented files (see {@link verifyExamples})
+ * @param {boolean} [options.coverage] When true, also report the documentation coverage of the documented symbols (see {@link getCoverage})
+ * @param {number} [options.coverageThreshold] The minimum coverage percentage (default: 0)
+ * @param {string} [options.coverageJson] Path to write the coverage report to, as JSON
+ * @param {object} [options.cache] Compiled programs and models to reuse across calls (see {@link createCache})
+ * @param {boolean} [legacySplit] Deprecated: `split`, for callers that pass the `repoUrl` instead of `options`
+ * @returns {boolean} False if `check` is set and the documentation is out of date, if an example has errors or if
+ *   the coverage is below the threshold, true otherwise
  */
-export function updateReadme(readmePath, searchPhrase, repoUrl, split) {
+export function updateReadme(readmePath, searchPhrase, options = {}, legacySplit = undefined) {
+    options = fromLegacyArguments(options, legacySplit);
+    const startTime = performance.now();
     const readme = fs.readFileSync(readmePath, 'utf8');
     
     const escapedSearchPhrase = searchPhrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
     const markerRegex = new RegExp(
         `(^(#{1,6})\\s+)?` +
-        `(.*?\n${escapedSearchPhrase}[ \`]*([^\`: ]+)[\`: ]*\\n)`,
+        `(.*?\n${escapedSearchPhrase}[ \`]*([^\`:\\s]+)[\`: ]*(?:<!--(.*?)-->[ \\t]*)?\\n)`,
         'gm'
     );
     
@@ -628,193 +1947,777 @@ export function updateReadme(readmePath, searchPhrase, repoUrl, split) {
         process.exit(1);
     }
     
+    const regions = findRegions(readme, readmePath);
+    
+    // Compile the source files for all markers at once
+    options = { ...options, cache: options.cache || createCache() };
+    const compileTime = performance.now();
+    const compiled = preparePrograms(matches.flatMap(match => getEntryFiles(match[4])), options, options.cache);
+    if (compiled) console.log(`Compiled ${compiled} source file(s) in ${formatTime(compileTime)}`);
+    
+    const outputDir = path.dirname(path.resolve(readmePath));
+    const splitFiles = [];
+    const sections = [];
+    const documented = [];
+    
     for (const match of matches) {
-        const [fullMatch, , precedingHeadingLevel, beforeSearch, sourceFile] = match;
+        const [fullMatch, , precedingHeadingLevel, beforeSearch, sourceFile, markerOptions] = match;
         
         const baseHeadingLevel = precedingHeadingLevel?.length || 2;
         const contentStart = match.index + fullMatch.length;
-        const contentEnd = findNextHeadingBoundary(readme, contentStart, baseHeadingLevel);
+        const location = `${readmePath}:${readme.substring(0, contentStart - 1).split('\n').length}`;
         
-        const headingPrefix = '#'.repeat(baseHeadingLevel + 1);
+        // With begin/end markers, only the region between them is replaced
+        const region = regions.find(region => region.start >= contentStart && !readme.substring(contentStart, region.start).trim());
+        if (region) {
+            regions.splice(regions.indexOf(region), 1);
+            if (region.hash && region.hash !== hashContent(region.content)) {
+                throw new Error(`${region.location}: the generated documentation was edited by hand (edit the source instead, or remove the hash from the begin marker to overwrite the changes)`);
+            }
+        }
+        const contentEnd = region ? region.end : findNextHeadingBoundary(readme, contentStart, baseHeadingLevel);
         
-        console.log(`Generating docs for ${sourceFile} with heading level ${baseHeadingLevel + 1}...`);
-        let newContent = generateMarkdownDoc(sourceFile, headingPrefix, repoUrl);
-
-        if (split) {
-            const outputDir = path.dirname(path.resolve(readmePath));
-            newContent = splitDocContent(newContent, headingPrefix, outputDir);
+        const sectionOptions = { ...options, ...parseMarkerOptions(markerOptions, location) };
+        const headingLevel = sectionOptions.heading || baseHeadingLevel + 1;
+        if (headingLevel <= baseHeadingLevel) {
+            // The generated headings would end the section
+            throw new Error(`${location}: marker option "heading" should be deeper than the section heading (level ${baseHeadingLevel})`);
         }
+        const headingPrefix = '#'.repeat(headingLevel);
+        
+        console.log(`Generating docs for ${sourceFile} with heading level ${headingLevel}...`);
+        const { content: newContent, files, symbols } = generateContent(sourceFile, headingPrefix, sectionOptions, new Set([path.basename(readmePath)]), location);
+        splitFiles.unshift(...files);
+        documented.push(...symbols);
 
-        const replacement = (precedingHeadingLevel ? `${'#'.repeat(precedingHeadingLevel.length)} ` : '') + 
-                          beforeSearch + "\n" + newContent;
+        const header = (precedingHeadingLevel ? `${'#'.repeat(precedingHeadingLevel.length)} ` : '') + 
+                          beforeSearch + "\n";
         
-        updatedReadme = updatedReadme.substring(0, match.index) +
-                       replacement + 
-                       updatedReadme.substring(contentEnd);
+        sections.push({ start: match.index, end: contentEnd, header, content: newContent, region, replacement: header + newContent, sourceFile });
+    }
+    if (regions.length) {
+        throw new Error(`${regions[0].location}: begin marker without a preceding "${searchPhrase}" marker`);
+    }
+    
+    // Links can be resolved only once all documented symbols (for all markers) are known
+    const readmeName = path.basename(readmePath);
+    const index = buildLinkIndex([{ name: readmeName, content: applyReplacements(readme, sections) }, ...splitFiles]);
+    splitFiles.forEach(file => file.content = resolveLinks(file.content, file.name, index));
+    
+    let stale = false;
+    for (const section of sections) {
+        const content = resolveLinks(section.content, readmeName, index);
+        section.replacement = resolveLinks(section.header, readmeName, index) + (section.region
+            ? `<!-- ${REGION_BEGIN} ${hashContent(content)} -->\n\n${content}<!-- ${REGION_END} -->\n`
+            : content);
+        if (options.check) {
+            stale = reportDiff(readme.substring(section.start, section.end), section.replacement, `${readmePath} (${section.sourceFile})`) || stale;
+        }
     }
     
-    fs.writeFileSync(readmePath, updatedReadme);
-    console.log(`Updated documentation for ${matches.length} file(s) in ${readmePath}`);
+    stale = emitSplitFiles(splitFiles, outputDir, options.check) || stale;
+    
+    let valid = true;
+    if (options.verifyExamples) {
+        for (const sourceFile of new Set(matches.map(match => match[4]))) valid = reportExamples(sourceFile, options) && valid;
+    }
+    if (options.coverage) valid = reportCoverage(documented, readmePath, options) && valid;
+    
+    if (options.check) {
+        console.log(stale ? `Documentation in ${readmePath} is out of date` : `Documentation in ${readmePath} is up to date`);
+        return !stale && valid;
+    }
+    
+    fs.writeFileSync(readmePath, applyReplacements(readme, sections));
+    console.log(`Updated documentation for ${matches.length} file(s) in ${readmePath} in ${formatTime(startTime)}`);
+    return valid;
+}
+
+/**
+ * Format the time elapsed since `startTime` (from `performance.now()`)
+ */
+function formatTime(startTime) {
+    const ms = performance.now() - startTime;
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Replace regions of a text, given as `{start, end, replacement}` objects in reverse order
+ */
+function applyReplacements(text, sections) {
+    for (const { start, end, replacement } of sections) {
+        text = text.substring(0, start) + replacement + text.substring(end);
+    }
+    return text;
 }
 
 /**
  * Generate reference documentation for a TypeScript source file and write it to an output file.
  * @param {string} sourcePath Path to the TypeScript source file
  * @param {string} outputPath Path to the output file (will be overwritten)
- * @param {string} [repoUrl] Optional repository URL for generating deep links
- * @param {boolean} [split] When true, split documentation into multiple files
+ * @param {object} [options]
+ * @param {string} [options.repoUrl] Repository URL for generating deep links (see {@link generateMarkdownDoc})
+ * @param {string} [options.ref] The branch, tag or commit to link to (default: 'main'), or 'auto'
+ * @param {boolean} [options.inherited] When true, list the members that classes and interfaces inherit
+ * @param {string[]} [options.excludeTags] Leave out symbols and members having any of these JSDoc tags (e.g. `['internal', 'alpha']`)
+ * @param {string} [options.tsconfig] Path to the tsconfig.json to compile with (default: the one nearest to the source file)
+ * @param {boolean} [options.split] When true, split documentation into multiple files
+ * @param {boolean} [options.toc] When true, start each generated section with a summary table linking to the symbols
+ * @param {boolean} [options.tocByKind] Like `toc`, but with a table per kind of symbol (functions, classes, types, etc)
+ * @param {string} [options.format] 'markdown' (default), 'html' for a standalone web page (or pages, when splitting), or 'json' to write the model produced by {@link generateModel}
+ * @param {boolean} [options.check] When true, don't write anything, but print a diff of stale files
+ * @param {boolean} [options.verifyExamples] When true, also type-check the examples of the documented file (see {@link verifyExamples})
+ * @param {boolean} [options.coverage] When true, also report the documentation coverage of the documented symbols (see {@link getCoverage})
+ * @param {number} [options.coverageThreshold] The minimum coverage percentage (default: 0)
+ * @param {string} [options.coverageJson] Path to write the coverage report to, as JSON
+ * @param {object} [options.cache] Compiled programs and models to reuse across calls (see {@link createCache})
+ * @param {boolean} [legacySplit] Deprecated: `split`, for callers that pass the `repoUrl` instead of `options`
+ * @returns {boolean} False if `check` is set and the documentation is out of date, if an example has errors or if
+ *   the coverage is below the threshold, true otherwise
  */
-export function createDocs(sourcePath, outputPath, repoUrl, split) {
+export function createDocs(sourcePath, outputPath, options = {}, legacySplit = undefined) {
+    options = fromLegacyArguments(options, legacySplit);
+    const startTime = performance.now();
     const headingPrefix = '##';
     console.log(`Generating docs for ${sourcePath}...`);
-    let content = generateMarkdownDoc(sourcePath, headingPrefix, repoUrl);
+    options = { ...options, cache: options.cache || createCache() };
+    preparePrograms(getEntryFiles(sourcePath), options, options.cache);
+    const main = { name: path.basename(outputPath) };
+    let files = [], symbols;
 
-    if (split) {
-        const outputDir = path.dirname(path.resolve(outputPath));
-        content = splitDocContent(content, headingPrefix, outputDir);
+    if (options.format === 'json') {
+        const model = isPackageJson(sourcePath) ? generatePackageModel(sourcePath, options) : generateModel(sourcePath, options);
+        main.content = JSON.stringify(model, null, 2) + '\n';
+        symbols = isPackageJson(sourcePath) ? model.flatMap(entryPoint => entryPoint.symbols) : model;
+    } else {
+        ({ content: main.content, files, symbols } = generateContent(sourcePath, headingPrefix, options, new Set([main.name])));
+        
+        const index = buildLinkIndex([main, ...files]);
+        for (const file of [main, ...files]) {
+            file.content = resolveLinks(file.content, file.name, index);
+            if (options.format === 'html') {
+                const nav = renderHtmlNav(symbols, index, file.name, main.name, sourcePath);
+                file.content = renderHtmlPage(sourcePath, nav, markdownToHtml(file.content));
+            }
+        }
     }
 
-    fs.writeFileSync(outputPath, content);
-    console.log(`Created ${outputPath}`);
+    const outputDir = path.dirname(path.resolve(outputPath));
+    let stale = emitSplitFiles(files, outputDir, options.check);
+    stale = emitFile(outputPath, main.content, options.check) || stale;
+    let valid = !options.verifyExamples || reportExamples(sourcePath, options);
+    if (options.coverage) valid = reportCoverage(symbols, sourcePath, options) && valid;
+    if (options.check) {
+        console.log(stale ? `Documentation in ${outputPath} is out of date` : `Documentation in ${outputPath} is up to date`);
+        return !stale && valid;
+    }
+    console.log(`Created ${outputPath} in ${formatTime(startTime)}`);
+    return valid;
 }
 
+/** The file extensions to compile fenced example code with, by language */
+const EXAMPLE_EXTENSIONS = { ts: '.ts', typescript: '.ts', tsx: '.tsx', js: '.js', javascript: '.js', jsx: '.jsx' };
+
 /**
- * Minimum number of characters of "detail" content (beyond heading + first paragraph)
- * for a section to be worth splitting into a separate file.
+ * Type-check the fenced TypeScript and JavaScript blocks in the `@example` tags of the documented symbols.
+ * Each block is compiled as a separate module that imports all exports of the documented module.
+ * Blocks annotated with `no-check` (like ` ```ts no-check `) are skipped.
+ * @param {string} sourcePath Path to the TypeScript source file, or to a package.json
+ * @param {object} [options] Same as for {@link generateMarkdownDoc}
+ * @returns {Array<{file: string, line: number, symbol: string, message: string}>} The compile errors, located
+ *   at the line of the JSDoc comment
  */
-const SPLIT_THRESHOLD = 100;
+export function verifyExamples(sourcePath, options = {}) {
+    options = { ...options, cache: options.cache || createCache() };
+    const entryPoints = isPackageJson(sourcePath)
+        ? generatePackageModel(sourcePath, options)
+        : [{ file: sourcePath, symbols: generateModel(sourcePath, options), reexports: [] }];
+    
+    const examples = new Map(); // By (virtual) file name
+    for (const { file, symbols, reexports } of entryPoints) {
+        const names = [...symbols, ...reexports].map(symbol => symbol.name).filter(name => name !== 'default');
+        const specifier = './' + path.basename(file).replace(/\.([cm]?)[jt]sx?$/, '.$1js');
+        const header = `import { ${names.join(', ')} } from '${specifier}';\n`;
+        for (const { symbol, tag } of collectExampleTags(symbols)) {
+            for (const block of extractCodeBlocks(tag)) {
+                const fileName = path.join(path.dirname(path.resolve(file)), `__example${examples.size}${block.extension}`);
+                examples.set(fileName, { ...block, symbol, text: header + block.code });
+            }
+        }
+    }
+    
+    // Compile as ES modules (allowing top-level await) and don't complain about unused variables. Projects
+    // without JSX of their own may still have tsx examples, so these are compiled for React by default.
+    const { compilerOptions } = getCompilerOptions(getEntryFiles(sourcePath)[0], options.tsconfig);
+    const exampleOptions = {
+        jsx: JsxEmit.ReactJSX, ...compilerOptions, module: ModuleKind.ESNext, moduleResolution: ModuleResolutionKind.Bundler,
+        checkJs: true, noEmit: true, noUnusedLocals: false, noUnusedParameters: false
+    };
+    const host = createCachingHost(options.cache.sourceFiles, exampleOptions);
+    const getSourceFile = host.getSourceFile;
+    host.getSourceFile = (fileName, ...args) => examples.has(fileName)
+        ? createSourceFile(fileName, examples.get(fileName).text, ...args)
+        : getSourceFile(fileName, ...args);
+    const program = createProgram([...examples.keys()], exampleOptions, host);
+    
+    const problems = [];
+    for (const [fileName, example] of examples) {
+        const sourceFile = program.getSourceFile(fileName);
+        for (const diagnostic of [...program.getSyntacticDiagnostics(sourceFile), ...program.getSemanticDiagnostics(sourceFile)]) {
+            // The first line is the import of the documented module
+            const line = sourceFile.getLineAndCharacterOfPosition(diagnostic.start || 0).line;
+            const message = flattenDiagnosticMessageText(diagnostic.messageText, '\n');
+            problems.push({ file: example.file, line: example.line + Math.max(line - 1, 0), symbol: example.symbol, message });
+        }
+    }
+    return problems;
+}
 
 /**
- * Split generated documentation into a brief main overview and separate detail files.
- * @param {string} fullDoc The full generated markdown documentation
- * @param {string} headingPrefix The heading prefix (e.g., '###')
- * @param {string} outputDir Directory to write split files to
- * @returns {string} The main overview content
+ * Get the `@example` tags of symbols and their signatures and members
+ * @returns {Array<{symbol: string, tag: object}>} The tags, with the name of the symbol they document
  */
-function splitDocContent(fullDoc, headingPrefix, outputDir) {
-    const headingLevel = headingPrefix.length;
-    const memberLevel = headingLevel + 1;
+function collectExampleTags(symbols, result = []) {
+    for (const symbol of symbols) {
+        for (const model of [symbol, ...(symbol.signatures || [])]) {
+            for (const tag of exampleSources.get(model.examples) || []) result.push({ symbol: symbol.name, tag });
+        }
+        if (symbol.members) collectExampleTags(symbol.members, result);
+    }
+    return result;
+}
 
-    const topSections = splitMarkdownSections(fullDoc, headingLevel);
+/**
+ * Get the fenced TypeScript and JavaScript blocks of an `@example` tag, except the `no-check` ones
+ * @returns {Array<{code: string, extension: string, file: string, line: number}>} The blocks, with the
+ *   source file and line of their first line of code
+ */
+function extractCodeBlocks(tag) {
+    const { file, line } = getLocation(tag);
+    const lines = tag.getText().split('\n').map(text => text.replace(/^\s*\*? ?/, ''));
+    const blocks = [];
+    for (let i = 0; i < lines.length; i++) {
+        const match = lines[i].match(/^```(\w*)(.*)$/);
+        if (!match) continue;
+        let end = lines.findIndex((text, j) => j > i && text.startsWith('```'));
+        if (end === -1) end = lines.length;
+        const extension = EXAMPLE_EXTENSIONS[match[1]];
+        if (extension && !/\bno-check\b/.test(match[2])) {
+            blocks.push({ code: lines.slice(i + 1, end).join('\n'), extension, file, line: line + i + 1 });
+        }
+        i = end;
+    }
+    return blocks;
+}
 
-    let mainContent = '';
-    const filesToWrite = [];
-    const usedFileNames = new Set();
+/**
+ * Verify the examples of a source file (see {@link verifyExamples}), printing the problems found
+ * @returns {boolean} True if there are none
+ */
+function reportExamples(sourcePath, options) {
+    const problems = verifyExamples(sourcePath, options);
+    for (const { file, line, symbol, message } of problems) {
+        console.error(`${file}:${line}: example of ${symbol}: ${message}`);
+    }
+    console.log(problems.length ? `Found ${problems.length} problem(s) in the examples of ${sourcePath}` : `The examples of ${sourcePath} are valid`);
+    return !problems.length;
+}
 
-    for (const topSection of topSections) {
-        const exportName = extractSymbolName(topSection.headingLine);
+/**
+ * Measure how much of the API is documented: the descriptions of symbols, their members, enum members
+ * and the props of components, the `@param` (including those of constructors) and `@template` tags and, for functions returning a value, `@returns`.
+ * Symbols declared in node_modules (like re-exports from other packages) are left out.
+ * @param {object[]} symbols The symbols, as produced by {@link generateModel}
+ * @returns {{percentage: number, documented: number, total: number, undocumented: Array<{file: string, line: number, symbol: string, missing: string}>}}
+ *   The coverage, with the missing documentation by source location
+ */
+export function getCoverage(symbols) {
+    const undocumented = [];
+    const checked = new Set(); // Symbols can be documented more than once, like when they're re-exported
+    const check = (symbol, documented, missing) => {
+        const key = `${symbol.location.file}:${symbol.location.line}:${symbol.name}:${missing}`;
+        if (checked.has(key)) return;
+        checked.add(key);
+        if (!documented) undocumented.push({ ...symbol.location, symbol: symbol.name, missing });
+    };
+    const visit = symbol => {
+        if (!symbol.location) return; // Couldn't be resolved
+        if (symbol.location.file.split(/[\\/]/).includes('node_modules')) return; // Not ours to document
+        check(symbol, symbol.description, 'description');
+        for (const prop of symbol.props || []) check(symbol, prop.description, `description of prop ${prop.name}`);
+        for (const member of symbol.enumMembers || []) check(symbol, member.description, `description of member ${member.name}`);
+        for (const parameter of symbol.constructorParameters || []) check(symbol, parameter.description, `constructor @param ${parameter.name}`);
+        for (const signature of [symbol, ...(symbol.signatures || [])]) {
+            for (const typeParameter of signature.typeParameters || []) check(symbol, typeParameter.description, `@template ${typeParameter.name}`);
+            // An options parameter can be documented by its fields instead
+            for (const parameter of signature.parameters || []) check(symbol, parameter.description || parameter.fields, `@param ${parameter.name}`);
+            if (signature.signature && symbol.kind !== 'constructor' && returnsValue(signature.signature)) check(symbol, signature.returns, '@returns');
+        }
+        symbol.members?.forEach(visit);
+    };
+    symbols.forEach(visit);
+    
+    undocumented.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+    const total = checked.size;
+    const documented = total - undocumented.length;
+    // Round down, so that a threshold of 100 requires everything to be documented
+    const percentage = total ? Math.floor(documented / total * 1000) / 10 : 100;
+    return { percentage, documented, total, undocumented };
+}
 
-        // Check for member sub-sections (class/interface members)
-        const memberSections = splitMarkdownSections(topSection.content, memberLevel);
+/**
+ * Check if a signature returns anything but void, undefined or never
+ */
+function returnsValue(signature) {
+    return !/^(void|undefined|never|Promise<void>)$/.test(getReturnType(signature) ?? 'void');
+}
 
-        if (memberSections.length === 0) {
-            // Simple export (function, type, constant, etc.)
-            mainContent += processSplitSection(
-                topSection.fullText, topSection.headingLine, topSection.content,
-                [exportName], usedFileNames, filesToWrite
-            );
-        } else {
-            // Class/interface with members - treat whole section as one unit
-            mainContent += processSplitSection(
-                topSection.fullText, topSection.headingLine, topSection.content,
-                [exportName], usedFileNames, filesToWrite
-            );
+/**
+ * Get the return type of a signature, like `string` for `(a: () => void) => string`
+ */
+function getReturnType(signature) {
+    let depth = 0;
+    for (let i = 0; i < signature.length; i++) {
+        if (signature.startsWith('=>', i)) {
+            if (!depth) return signature.substring(i + 2).trim();
+            i++;
+        } else if ('([{<'.includes(signature[i])) {
+            depth++;
+        } else if (')]}>'.includes(signature[i])) {
+            depth--;
         }
     }
+    return undefined;
+}
 
-    // Write all split files
-    for (const file of filesToWrite) {
-        const filePath = path.join(outputDir, file.name);
-        fs.writeFileSync(filePath, file.content);
-        console.log(`  Split: ${file.name}`);
+/**
+ * Print the documentation coverage of symbols (see {@link getCoverage}), and write it as JSON if
+ * `coverageJson` is set (and `check` isn't)
+ * @returns {boolean} False if the coverage is below `coverageThreshold`
+ */
+function reportCoverage(symbols, label, options) {
+    const coverage = getCoverage(symbols);
+    for (const { file, line, symbol, missing } of coverage.undocumented) {
+        console.log(`${file}:${line}: ${symbol}: missing ${missing}`);
     }
+    const threshold = options.coverageThreshold || 0;
+    console.log(`Documentation coverage of ${label}: ${coverage.percentage}% (${coverage.documented} of ${coverage.total})`);
+    if (options.coverageJson && !options.check) {
+        fs.writeFileSync(options.coverageJson, JSON.stringify({ ...coverage, threshold }, null, 2) + '\n');
+    }
+    if (coverage.percentage >= threshold) return true;
+    console.error(`Documentation coverage of ${label} is below the threshold of ${threshold}%`);
+    return false;
+}
 
-    return mainContent;
+/**
+ * Generate a markdown changelog fragment of the changes to the API between two git refs (see {@link diffApi})
+ * @param {string} sourcePath Path to the TypeScript source file, or to a package.json
+ * @param {string} fromRef The git ref (like a tag) to compare from
+ * @param {string} [toRef] The git ref to compare to (default: the working tree)
+ * @param {object} [options] Same as for {@link generateMarkdownDoc}
+ * @returns {string} The breaking changes, followed by the other changes
+ */
+export function generateApiChangelog(sourcePath, fromRef, toRef, options = {}) {
+    const content = renderApiDiff(diffApi(sourcePath, fromRef, toRef, options));
+    return resolveLinks(content, '', new Map());
 }
 
 /**
- * Process a single section for split mode: decide whether to inline or split.
- * Returns the text to add to the main file.
+ * Compare the API of a source file (or of the entry points of a package.json) between two git refs, checking
+ * out each ref into a temporary git worktree. Removed exports and members, changes to their kind, type or
+ * signature (except for signatures that just gain optional parameters, and changed constant values) and added
+ * required members of interfaces and types, or required props of components, are breaking.
+ * @param {string} sourcePath Path to the TypeScript source file, or to a package.json
+ * @param {string} fromRef The git ref (like a tag) to compare from
+ * @param {string} [toRef] The git ref to compare to (default: the working tree)
+ * @param {object} [options] Same as for {@link generateMarkdownDoc}
+ * @returns {Array<{name: string, kind: string, previousKind?: string, change: string, breaking: boolean, before?: string[], after?: string[]}>}
+ *   The 'added', 'removed' and 'changed' exports and members, with their signatures (or type or value) before and after
  */
-function processSplitSection(fullText, headingLine, body, namePath, usedFileNames, filesToWrite) {
-    const { summary, details } = extractSummaryAndDetails(body);
+export function diffApi(sourcePath, fromRef, toRef, options = {}) {
+    options = { ...options, cache: options.cache || createCache() };
+    const before = flattenApi(extractApiAt(sourcePath, fromRef, options));
+    const after = flattenApi(extractApiAt(sourcePath, toRef, options));
+    
+    const changes = [];
+    for (const [name, old] of before) {
+        const current = after.get(name);
+        if (!current) {
+            changes.push({ name, kind: old.kind, change: 'removed', breaking: true, before: old.shape });
+        } else if (old.kind !== current.kind || old.shape.join('\n') !== current.shape.join('\n')) {
+            const change = { name, kind: current.kind, change: 'changed', breaking: old.kind !== current.kind || !isCompatible(old, current), before: old.shape, after: current.shape };
+            if (old.kind !== current.kind) change.previousKind = old.kind;
+            changes.push(change);
+        }
+    }
+    for (const [name, current] of after) {
+        if (!before.has(name)) changes.push({ name, kind: current.kind, change: 'added', breaking: !!current.required, after: current.shape });
+    }
+    return changes;
+}
 
-    if (details.trim().length <= SPLIT_THRESHOLD) {
-        // Short enough to keep inline
-        return fullText.trimEnd() + '\n\n';
+/**
+ * Extract the (selected) symbols of a source file or package at a git ref, or in the working tree
+ */
+function extractApiAt(sourcePath, ref, options) {
+    // A source that doesn't exist (yet, or anymore) has no API, so that all of its exports are added or removed
+    const extract = (filePath, options) => !fs.existsSync(filePath) ? [] : selectSymbols(isPackageJson(filePath)
+        ? generatePackageModel(filePath, options).flatMap(entryPoint => entryPoint.symbols)
+        : generateModel(filePath, options), options);
+    if (!ref) return extract(sourcePath, options);
+    
+    const root = path.resolve(git('rev-parse', '--show-toplevel'));
+    const worktree = createWorktree(ref, root);
+    const inWorktree = filePath => path.join(worktree, path.relative(root, path.resolve(filePath)));
+    try {
+        return extract(inWorktree(sourcePath), { ...options, tsconfig: options.tsconfig && inWorktree(options.tsconfig) });
+    } catch (error) {
+        // Refer to the files in the repository rather than in the temporary worktree
+        error.message = error.message.replaceAll(worktree + path.sep, '');
+        throw error;
+    } finally {
+        execFileSync('git', ['worktree', 'remove', '--force', worktree], { stdio: 'ignore' });
     }
+}
 
-    // Split to a separate file
-    const baseName = namePath.join('_') + '.md';
-    const fileName = getUniqueFileName(baseName, usedFileNames);
+/**
+ * Check out a git ref into a temporary worktree, linking the installed packages of the repository into it
+ * @returns {string} The path of the worktree
+ */
+function createWorktree(ref, root) {
+    const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'readme-tsdoc-'));
+    try {
+        execFileSync('git', ['worktree', 'add', '--detach', worktree, ref], { stdio: ['ignore', 'ignore', 'pipe'] });
+    } catch (error) {
+        fs.rmSync(worktree, { recursive: true, force: true });
+        throw new Error(`Could not check out "${ref}": ${error.stderr?.toString().trim() || error.message}`);
+    }
+    // The node_modules directories from the working directory up to the repository root
+    for (let dir = path.resolve(); dir.startsWith(root); dir = path.dirname(dir)) {
+        const modules = path.join(dir, 'node_modules');
+        const target = path.join(worktree, path.relative(root, modules));
+        if (fs.existsSync(modules) && fs.existsSync(path.dirname(target)) && !fs.existsSync(target)) {
+            fs.symlinkSync(modules, target, 'junction');
+        }
+        if (dir === root) break;
+    }
+    return worktree;
+}
 
-    let main = makeSummaryHeading(headingLine, fileName) + '\n\n';
-    if (summary.trim()) {
-        main += summary.trim() + '\n\n';
+/**
+ * Map the names of symbols and their (enum) members and props to their kind and shape: their
+ * signatures, type or value. Getters and setters of the same name are combined. Members that
+ * implementations of an interface or type, or users of a component, must provide are `required`.
+ * @returns {Map<string, {kind: string, shape: string[], signatures?: object[], value?: boolean, required?: boolean}>}
+ */
+function flattenApi(symbols, api = new Map(), parent) {
+    const add = (name, entry) => {
+        const existing = api.get(name);
+        api.set(name, existing ? { kind: `${existing.kind}, ${entry.kind}`, shape: [...existing.shape, ...entry.shape] } : entry);
+    };
+    for (const symbol of symbols) {
+        const shape = symbol.signatures?.map(signature => signature.signature) || [symbol.type ?? symbol.value].filter(text => text !== undefined);
+        const required = ['interface', 'type'].includes(parent?.kind) && !/\boptional\b/.test(symbol.kind);
+        add(symbol.name, { kind: symbol.kind, shape, signatures: symbol.signatures, value: symbol.value !== undefined, required });
+        for (const member of symbol.enumMembers || []) {
+            add(`${symbol.name}.${member.name}`, { kind: 'enum member', shape: member.value === undefined ? [] : [member.value] });
+        }
+        for (const prop of symbol.props || []) {
+            add(`${symbol.name}.${prop.name}`, { kind: prop.optional ? 'optional prop' : 'prop', shape: [prop.type], required: !prop.optional });
+        }
+        if (symbol.members) flattenApi(symbol.members, api, symbol);
     }
+    return api;
+}
 
-    filesToWrite.push({ name: fileName, content: fullText.trimEnd() + '\n' });
-    return main;
+/**
+ * Check if a changed symbol or member can still be used like before: when each of its previous signatures
+ * has a compatible new one, or when just its (constant) value changed
+ */
+function isCompatible(old, current) {
+    if (!old.signatures || !current.signatures) return !!old.value && !!current.value;
+    return old.signatures.every(signature => current.signatures.some(candidate => isCompatibleSignature(signature, candidate)));
 }
 
 /**
- * Split markdown text into sections at a specific heading level.
- * @param {string} text The markdown text
- * @param {number} headingLevel The heading level to split at (number of # characters)
- * @returns {Array<{headingLine: string, content: string, fullText: string}>}
+ * Check if a signature accepts the arguments of the old one, returning the same type
  */
-function splitMarkdownSections(text, headingLevel) {
-    const regex = new RegExp(`^#{${headingLevel}} (?!#)`, 'gm');
-    const sections = [];
-    const starts = [];
+function isCompatibleSignature(old, current) {
+    const isOptional = param => param.optional || param.default !== undefined;
+    return getReturnType(old.signature) === getReturnType(current.signature) &&
+        current.parameters.length >= old.parameters.length &&
+        current.parameters.every((param, index) => {
+            const previous = old.parameters[index];
+            if (!previous) return isOptional(param);
+            return param.type === previous.type && (isOptional(param) || !isOptional(previous));
+        });
+}
 
-    let match;
-    while ((match = regex.exec(text)) !== null) {
-        starts.push(match.index);
+/**
+ * Render API changes (see {@link diffApi}) as markdown, the breaking changes first
+ */
+function renderApiDiff(changes) {
+    if (!changes.length) return 'No changes to the API.\n\n';
+    const shape = signatures => signatures?.length ? signatures.map(typeCode).join(', ') : 'none';
+    let doc = '';
+    for (const breaking of [true, false]) {
+        const selected = changes.filter(change => change.breaking === breaking);
+        if (!selected.length) continue;
+        doc += `**${breaking ? 'Breaking changes' : 'Other changes'}:**\n\n`;
+        for (const { name, kind, previousKind, change, before, after } of selected) {
+            if (change === 'added') {
+                doc += `- Added ${kind} \`${name}\`${after.length ? `: ${shape(after)}` : ''}\n`;
+            } else if (change === 'removed') {
+                doc += `- Removed ${kind} \`${name}\`\n`;
+            } else {
+                const kindChange = previousKind ? `${previousKind} → ${kind}` : kind;
+                doc += `- Changed ${kindChange} \`${name}\`: ${shape(before)} → ${shape(after)}\n`;
+            }
+        }
+        doc += '\n';
     }
+    return doc;
+}
 
-    for (let i = 0; i < starts.length; i++) {
-        const start = starts[i];
-        const end = i + 1 < starts.length ? starts[i + 1] : text.length;
-        const sectionText = text.substring(start, end).trimEnd();
+/**
+ * Run the given jobs, then keep watching the markdown files they update and the source files
+ * they document (including the files these import), re-running the affected jobs on changes.
+ * Within a job, only the markers for changed source files are regenerated.
+ * @param {object[]} jobs The {@link updateReadme} options plus `file` and `search`, or the {@link createDocs} options plus `create` and `file`
+ */
+export function watchDocs(jobs) {
+    const cache = createCache();
+    const dependencies = jobs.map(() => new Set());
+    const written = new Map(); // Markdown files by path, with the content we last wrote to them
+    const watched = new Set();
+    let changed = new Set(), timer;
+    
+    const run = index => {
+        const job = jobs[index];
+        cache.used.clear();
+        let ok = true;
+        try {
+            if (job.create !== undefined) createDocs(job.create, job.file, { ...job, cache });
+            else updateReadme(job.file, job.search, { ...job, cache });
+        } catch (error) {
+            console.error(error.message);
+            ok = false;
+        }
+        
+        const files = new Set(job.create !== undefined ? [path.resolve(job.create)] : [path.resolve(job.file)]);
+        for (const key of cache.used) cache.models.get(key)?.files.forEach(file => files.add(file));
+        // After a failure, keep watching what we watched before, so we can recover once it's fixed
+        dependencies[index] = ok ? files : new Set([...dependencies[index], ...files]);
+        if (job.create === undefined) written.set(path.resolve(job.file), readFile(job.file));
+    };
+    
+    const flush = () => {
+        // Ignore the changes we made ourselves
+        const files = [...changed].filter(file => !written.has(file) || readFile(file) !== written.get(file));
+        changed = new Set();
+        if (!files.length) return;
+        
+        for (const [key, entry] of cache.models) {
+            if (files.some(file => entry.files.has(file))) cache.models.delete(key);
+        }
+        jobs.forEach((job, index) => {
+            if (files.some(file => dependencies[index].has(file))) run(index);
+        });
+        updateWatchers();
+    };
+    
+    const updateWatchers = () => {
+        const needed = new Set(dependencies.flatMap(files => [...files]));
+        for (const file of watched) {
+            if (!needed.has(file)) {
+                fs.unwatchFile(file);
+                watched.delete(file);
+            }
+        }
+        for (const file of needed) {
+            if (watched.has(file)) continue;
+            watched.add(file);
+            fs.watchFile(file, { interval: 250 }, (current, previous) => {
+                if (current.mtimeMs === previous.mtimeMs) return;
+                changed.add(file);
+                clearTimeout(timer);
+                timer = setTimeout(flush, 100);
+            });
+        }
+        console.log(`Watching ${watched.size} file(s) for changes...`);
+    };
+    
+    jobs.forEach((job, index) => run(index));
+    updateWatchers();
+}
 
-        const newlinePos = sectionText.indexOf('\n');
-        const headingLine = newlinePos === -1 ? sectionText : sectionText.substring(0, newlinePos);
-        const content = newlinePos === -1 ? '' : sectionText.substring(newlinePos + 1).replace(/^\n+/, '');
+/**
+ * Read a text file, returning undefined if it doesn't exist
+ */
+function readFile(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : undefined;
+}
 
-        sections.push({ headingLine, content, fullText: sectionText });
+/**
+ * Write a generated file or, in check mode, print a diff against the file on disk.
+ * @param {string} filePath The file to write or check
+ * @param {string} content The generated content
+ * @param {boolean} [check] When true, don't write but compare
+ * @returns {boolean} True if in check mode and the file on disk is stale
+ */
+function emitFile(filePath, content, check) {
+    if (check) {
+        const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+        return reportDiff(current, content, filePath);
     }
+    fs.writeFileSync(filePath, content);
+    return false;
+}
 
-    return sections;
+/**
+ * Write (or check) the detail files produced by `splitDocContent`.
+ * @returns {boolean} True if in check mode and any of the files is stale
+ */
+function emitSplitFiles(files, outputDir, check) {
+    let stale = false;
+    for (const file of files) {
+        stale = emitFile(path.join(outputDir, file.name), file.content, check) || stale;
+        if (!check) console.log(`  Split: ${file.name}`);
+    }
+    return stale;
 }
 
 /**
- * Extract the symbol name from a heading line.
- * E.g., "### processValue · [function](url)" -> "processValue"
+ * Print a unified diff between two texts if they differ.
+ * @returns {boolean} True if the texts differ
  */
-function extractSymbolName(headingLine) {
-    const content = headingLine.replace(/^#+\s+/, '');
-    const nameEnd = content.indexOf(' · ');
-    return nameEnd === -1 ? content.trim() : content.substring(0, nameEnd);
+function reportDiff(oldText, newText, label) {
+    if (oldText === newText) return false;
+    console.log(unifiedDiff(oldText, newText, label));
+    return true;
 }
 
 /**
- * Extract the member name (after the dot) from a member heading line.
- * E.g., "#### dataProcessor.batchSize · [getter](url)" -> "batchSize"
+ * Create a unified diff (with 3 lines of context) between two texts.
+ * @param {string} oldText The current text
+ * @param {string} newText The generated text
+ * @param {string} label The name shown in the diff header
+ * @returns {string}
  */
-function extractMemberName(headingLine) {
-    const symbolName = extractSymbolName(headingLine);
-    const dotPos = symbolName.lastIndexOf('.');
-    return dotPos === -1 ? symbolName : symbolName.substring(dotPos + 1);
+function unifiedDiff(oldText, newText, label) {
+    const a = oldText.split('\n'), b = newText.split('\n');
+    const context = 3;
+    
+    // Leave the unchanged lines at the start and end out of the (quadratic) table below
+    let prefix = 0, aEnd = a.length, bEnd = b.length;
+    while (prefix < aEnd && prefix < bEnd && a[prefix] === b[prefix]) prefix++;
+    while (aEnd > prefix && bEnd > prefix && a[aEnd - 1] === b[bEnd - 1]) aEnd--, bEnd--;
+    
+    // Longest common subsequence lengths for every pair of suffixes of the changed lines
+    const lcs = Array.from({ length: aEnd - prefix + 1 }, () => new Uint32Array(bEnd - prefix + 1));
+    for (let x = aEnd - prefix - 1; x >= 0; x--) {
+        for (let y = bEnd - prefix - 1; y >= 0; y--) {
+            lcs[x][y] = a[prefix + x] === b[prefix + y] ? lcs[x + 1][y + 1] + 1 : Math.max(lcs[x + 1][y], lcs[x][y + 1]);
+        }
+    }
+    
+    // Walk the table to produce [op, line, oldIndex, newIndex] tuples
+    const ops = [];
+    let i = 0, j = 0;
+    while (i < prefix) ops.push([' ', a[i], i++, j++]);
+    while (i < aEnd || j < bEnd) {
+        if (i < aEnd && j < bEnd && a[i] === b[j]) ops.push([' ', a[i], i++, j++]);
+        else if (i < aEnd && (j === bEnd || lcs[i - prefix + 1][j - prefix] >= lcs[i - prefix][j - prefix + 1])) ops.push(['-', a[i], i++, j]);
+        else ops.push(['+', b[j], i, j++]);
+    }
+    while (i < a.length) ops.push([' ', a[i], i++, j++]);
+    
+    // Group changes into hunks, merging those separated by little unchanged text
+    let out = `--- ${label}\n+++ ${label} (generated)\n`;
+    for (let k = 0; k < ops.length; ) {
+        if (ops[k][0] === ' ') { k++; continue; }
+        const start = Math.max(0, k - context);
+        let end = k;
+        while (end < ops.length) {
+            let next = end;
+            while (next < ops.length && ops[next][0] === ' ') next++;
+            if (next === ops.length || next - end > 2 * context) {
+                end = Math.min(next, end + context);
+                break;
+            }
+            while (next < ops.length && ops[next][0] !== ' ') next++;
+            end = next;
+        }
+        const hunk = ops.slice(start, end);
+        const oldCount = hunk.filter(op => op[0] !== '+').length;
+        const newCount = hunk.filter(op => op[0] !== '-').length;
+        out += `@@ -${ops[start][2] + 1},${oldCount} +${ops[start][3] + 1},${newCount} @@\n`;
+        out += hunk.map(([op, line]) => op + line).join('\n') + '\n';
+        k = end;
+    }
+    return out;
 }
 
 /**
- * Replace the symbol name in a heading with a markdown link to the split file.
- * E.g., "### processValue · [function](url)" -> "### [processValue](processValue.md) · [function](url)"
+ * Minimum number of characters of "detail" content (beyond heading + first paragraph)
+ * for a section to be worth splitting into a separate file.
  */
-function makeSummaryHeading(headingLine, fileName) {
-    const name = extractSymbolName(headingLine);
-    return headingLine.replace(name, `[${name}](${fileName})`);
+const SPLIT_THRESHOLD = 100;
+
+/**
+ * Split generated documentation into a brief main overview and separate detail files.
+ * @param {object[]} symbols The symbols to document, as extracted by `generateModel`
+ * @param {string} headingPrefix The heading prefix (e.g., '###')
+ * @param {Set<string>} [usedFileNames] The names of detail files already in use
+ * @param {string} [extension] The extension of the detail files; for '.html', each symbol gets its own page
+ * @returns {{mainContent: string, files: Array<{name: string, content: string}>}} The main overview content and the detail files to write
+ */
+function splitDocContent(symbols, headingPrefix, usedFileNames = new Set(), extension = '.md') {
+    let mainContent = '';
+    const filesToWrite = [];
+
+    for (const symbol of symbols) {
+        mainContent += processSplitSection(symbol, headingPrefix, usedFileNames, filesToWrite, extension);
+    }
+
+    return { mainContent, files: filesToWrite };
+}
+
+/**
+ * Process a single symbol for split mode: decide whether to inline or split.
+ * Returns the text to add to the main file.
+ */
+function processSplitSection(symbol, headingPrefix, usedFileNames, filesToWrite, extension) {
+    const fullText = renderSymbol(symbol, headingPrefix).trimEnd();
+    const { summary, details } = extractSummaryAndDetails(fullText.split('\n').slice(1).join('\n'));
+
+    if (extension === '.md' && details.trim().length <= SPLIT_THRESHOLD) {
+        // Short enough to keep inline
+        return fullText + '\n\n';
+    }
+
+    // Split to a separate file
+    const fileName = getUniqueFileName(symbol.name + extension, usedFileNames);
+    const title = symbol.deprecated ? `[~~${symbol.name}~~](${fileName})` : `[${symbol.name}](${fileName})`;
+
+    let main = renderHeading(symbol, headingPrefix, title) + '\n\n';
+    if (summary.trim()) {
+        main += summary.trim() + '\n\n';
+    }
+
+    filesToWrite.push({ name: fileName, content: fullText + '\n' });
+    return main;
+}
+
+/**
+ * Extract the symbol name from a heading line.
+ * E.g., "### processValue · [function](url)" -> "processValue"
+ */
+function extractSymbolName(headingLine) {
+    const content = headingLine.replace(/^#+\s+/, '');
+    const nameEnd = content.indexOf(' · ');
+    return nameEnd === -1 ? content.trim() : content.substring(0, nameEnd);
 }
 
 /**
@@ -850,7 +2753,7 @@ function getUniqueFileName(baseName, usedNames) {
     }
     let counter = 2;
     while (true) {
-        const name = baseName.replace('.md', `_${counter}.md`);
+        const name = baseName.replace(/(\.\w+)$/, `_${counter}$1`);
         if (!usedNames.has(name)) {
             usedNames.add(name);
             return name;
@@ -0,0 +1,54 @@
+/**
+ * The first version of an API, to compare with `api-v2.ts`
+ */
+
+/** Greet someone */
+export function greet(name: string): string {
+    return `Hello, ${name}`;
+}
+
+/** Add numbers */
+export function add(a: number, b: number): number {
+    return a + b;
+}
+
+/** Parse a number */
+export function parse(text: string): number {
+    return Number(text);
+}
+
+/** To be removed */
+export function legacy(): void {}
+
+/** The version */
+export const VERSION = '1.0.0';
+
+/** A shape */
+export interface Shape {
+    /** The area */
+    area(): number;
+    /** The name */
+    name: string;
+    /** The color */
+    color?: string;
+}
+
+/** Log levels */
+export enum Level {
+    Info,
+    Error
+}
+
+/** A counter */
+export class Counter {
+    private current = 0;
+
+    /** The count */
+    get count(): number {
+        return this.current;
+    }
+
+    set count(value: number) {
+        this.current = value;
+    }
+}
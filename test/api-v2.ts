@@ -0,0 +1,63 @@
+/**
+ * The second version of an API, to compare with `api-v1.ts`
+ */
+
+/** Greet someone, optionally with a custom greeting */
+export function greet(name: string, greeting = 'Hello'): string {
+    return `${greeting}, ${name}`;
+}
+
+/** Add numbers */
+export function add(a: number, b: number, c: number): number {
+    return a + b + c;
+}
+
+/** Parse a number, keeping the text if it isn't one */
+export function parse(text: string): number | string {
+    return isNaN(Number(text)) ? text : Number(text);
+}
+
+/** Format a number */
+export function format(value: number): string {
+    return String(value);
+}
+
+/**
+ * Format a number for debugging
+ * @internal
+ */
+export function formatDebug(value: number): string {
+    return `<${value}>`;
+}
+
+/** The version */
+export const VERSION = '2.0.0';
+
+/** A shape */
+export interface Shape {
+    /** The area */
+    area(): number;
+    /** The perimeter */
+    perimeter(): number;
+    /** The name */
+    name: string;
+    /** The border width */
+    border?: number;
+}
+
+/** Log levels */
+export enum Level {
+    Debug,
+    Info,
+    Error
+}
+
+/** A counter */
+export class Counter {
+    private current = 0;
+
+    /** The count */
+    get count(): number {
+        return this.current;
+    }
+}
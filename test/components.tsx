@@ -0,0 +1,100 @@
+import { Component, forwardRef, memo, type AnchorHTMLAttributes, type FC, type ReactNode } from 'react';
+
+/**
+ * The props of {@link Button}
+ */
+export interface ButtonProps {
+    /** The text on the button */
+    label: string;
+    /** The visual style */
+    variant?: 'primary' | 'secondary';
+    /** Called when the button is clicked */
+    onClick?: () => void;
+    /** When true, the button can't be clicked */
+    disabled?: boolean;
+}
+
+/**
+ * A clickable button
+ * @example
+ * ```tsx
+ * <Button label="Save" onClick={save} />
+ * ```
+ */
+export function Button({ label, variant = 'primary', onClick, disabled = false }: ButtonProps) {
+    return (
+        <button className={variant} onClick={onClick} disabled={disabled}>
+            {label}
+        </button>
+    );
+}
+
+interface BadgeProps {
+    /** The number to show */
+    count: number;
+    /** Larger counts are shown as `max+` */
+    max?: number;
+}
+
+/**
+ * A badge showing a count
+ */
+export const Badge = (props: BadgeProps) => props.count > props.max! ? <span>{props.max}+</span> : <span>{props.count}</span>;
+Badge.defaultProps = { max: 99 };
+
+interface TextInputProps {
+    /** Shown while the input is empty */
+    placeholder?: string;
+}
+
+/**
+ * A text input, forwarding its ref to the `<input>` element
+ */
+export const TextInput = memo(forwardRef<HTMLInputElement, TextInputProps>(function TextInput({ placeholder = '' }, ref) {
+    return <input ref={ref} placeholder={placeholder} />;
+}));
+
+interface CounterProps {
+    /** The initial count */
+    initial: number;
+    /** The amount to add per click */
+    step?: number;
+}
+
+/**
+ * A class component, counting clicks
+ */
+export class Counter extends Component<CounterProps> {
+    static defaultProps = { step: 1 };
+
+    render() {
+        return <div>{this.props.initial}</div>;
+    }
+}
+
+interface LinkProps extends AnchorHTMLAttributes<HTMLAnchorElement> {
+    /** Where the link points to */
+    href: string;
+    /** When true, open the link in a new tab */
+    external?: boolean;
+}
+
+/**
+ * A link, also accepting the attributes of `<a>`
+ */
+export const Link: FC<LinkProps> = ({ href, external = false, ...attributes }) =>
+    <a href={href} target={external ? '_blank' : undefined} {...attributes} />;
+
+/**
+ * Renders its children only when `when` is true
+ */
+export function Show({ when, children }: { when: boolean; children?: ReactNode }): ReactNode {
+    return when ? children : null;
+}
+
+/**
+ * Not a component, as it doesn't return JSX
+ */
+export function FormatLabel(label: string) {
+    return label.toUpperCase();
+}
@@ -0,0 +1,10 @@
+/**
+ * An entry point that re-exports from other modules, for testing package.json mode
+ */
+export * from './trivial.js';
+export { API_VERSION, connect as open } from './helper.js';
+
+/**
+ * The version of the entry point
+ */
+export const ENTRY_VERSION = 2;
@@ -0,0 +1,49 @@
+/**
+ * A point on a grid
+ * @typedef {object} Point
+ * @property {number} x The column
+ * @property {number} [y] The row, defaulting to the first
+ */
+
+/**
+ * A point, or its index in the grid
+ * @typedef {Point | number} Cell
+ */
+
+/**
+ * Called for each visited point
+ * @callback Visitor
+ * @param {Point} point The point
+ * @param {number} index The number of points visited before
+ * @returns {boolean} Whether to continue
+ */
+
+/**
+ * Visit points in order
+ * @param {Point[]} points The points to visit
+ * @param {Visitor} visitor Called for each point
+ * @param {object} [options] How to visit
+ * @param {boolean} [options.reverse] Visit the last point first
+ * @param {number} [options.limit] Visit at most this many points
+ * @returns The number of points visited
+ */
+export function visit(points, visitor, options = {}) {
+    const ordered = options.reverse ? [...points].reverse() : points;
+    let count = 0;
+    for (const point of ordered.slice(0, options.limit)) {
+        if (!visitor(point, count++)) break;
+    }
+    return count;
+}
+
+/**
+ * Create a grid
+ * @param {object} options The size of the grid
+ * @param {number} options.width The number of columns
+ * @param {number} [options.height] The number of rows
+ * @param {object} [options.fill] What to put in new cells
+ * @param {string} options.fill.value The value of each cell
+ */
+export function createGrid({ width, height = width, fill = { value: '' } }) {
+    return Array.from({ length: height }, () => Array(width).fill(fill.value));
+}
@@ -146,6 +146,7 @@ export abstract class DataProcessor<T, R = T[]> implements TestInterface {
 
     /**
      * Clear all stored items
+     * @internal
      */
     clearItems(): void {
         this._data.length = 0;
@@ -195,6 +196,27 @@ export class StringDataProcessor extends DataProcessor<string, string[]> {
         return items.map(this.transformer);
     }
 
+    /**
+     * Add a prefix to a single string
+     * @param item The string to prefix
+     * @returns The prefixed string
+     */
+    prefix(item: string): string;
+    /**
+     * Add a prefix to each of the strings
+     * @param items The strings to prefix
+     * @param separator Text placed between the prefix and each string
+     * @returns The prefixed strings
+     * @example
+     * ```typescript
+     * processor.prefix(['a', 'b'], ': ');
+     * ```
+     */
+    prefix(items: string[], separator?: string): string[];
+    prefix(input: string | string[], separator = ''): string | string[] {
+        return Array.isArray(input) ? input.map(s => this.name + separator + s) : this.name + input;
+    }
+
     /**
      * Clean up resources
      */
@@ -294,6 +316,9 @@ export function transformObject<K extends string | number | symbol, V, NK extend
 
 /**
  * An async function with error handling
+ * @since 1.2.0
+ * @see {@link mapAndFilter} for processing the results
+ * @see https://example.com/retrying
  * @param url The URL to fetch
  * @param options Fetch options
  * @returns The response data
@@ -335,6 +360,22 @@ export async function fetchWithRetry(
     }
 }
 
+/**
+ * Fetch without retrying
+ * @deprecated Use {@link fetchWithRetry} instead, which is more robust.
+ * @param url The URL to fetch
+ * @returns The response data
+ */
+export async function fetchOnce(url: string): Promise<any> {
+    return fetchWithRetry(url, { retries: 0 });
+}
+
+/**
+ * A helper that is not part of the public API
+ * @internal
+ */
+export const INTERNAL_SECRET = 'shh';
+
 /**
  * Configuration constants for the kitchen sink module
  */
@@ -368,7 +409,9 @@ export const ProcessingMode = {
 export type ProcessingModeType = typeof ProcessingMode[keyof typeof ProcessingMode];
 
 /**
- * A complex arrow function stored in a constant
+ * A complex arrow function stored in a constant. Like {@linkcode mapAndFilter}, but
+ * counting; see {@link DataProcessor.addItems | adding items}, {@linkplain Container}
+ * and {@link NotDocumented}.
  * @param predicate The filter predicate
  * @returns A function that filters and counts items
  */
@@ -389,8 +432,119 @@ export const SUPPORTED_FORMATS = ['json', 'xml', 'csv', 'yaml'] as const;
  */
 export type SupportedFormat = typeof SUPPORTED_FORMATS[number];
 
+/**
+ * A formatter, which can be called, constructed and indexed
+ */
+export interface Formatter {
+    /**
+     * Format a value
+     * @param value The value to format
+     * @returns The formatted value
+     */
+    (value: unknown): string;
+    /**
+     * Create a formatter
+     * @param locale The locale to format for
+     */
+    new (locale: string): Formatter;
+    /** Other formatting functions, by name */
+    [name: string]: unknown;
+    /** The locale to format for */
+    readonly locale: string;
+    /**
+     * Format a number
+     * @param value The number to format
+     * @param decimals The number of decimals
+     * @example
+     * ```typescript
+     * formatter.formatNumber?.(3.14159, 2); // '3.14'
+     * ```
+     * @example
+     * Fragments can opt out of `--verify-examples`:
+     * ```typescript no-check
+     * formatNumber(value, decimals)
+     * ```
+     */
+    formatNumber?(value: number, decimals?: number): string;
+}
+
+/**
+ * Formatting options, as an object literal type
+ */
+export type FormatOptions = {
+    /** The locale to format for (default: the system locale) */
+    locale?: string;
+    /** Whether to group thousands */
+    readonly grouping: boolean;
+    /**
+     * Convert a value before formatting it
+     * @param value The value to convert
+     * @returns The converted value
+     */
+    convert(value: unknown): string;
+};
+
+/**
+ * Log levels, from least to most severe
+ */
+export enum LogLevel {
+    /** Very chatty output */
+    Debug,
+    /** Informational messages */
+    Info,
+    Warning = 5,
+    /** @internal */
+    Hidden = 7,
+    /** Something went wrong */
+    Error = Warning * 2
+}
+
+/**
+ * Output colors
+ */
+export const enum Color {
+    Red = 'red',
+    Green = 'green'
+}
+
+/**
+ * String helpers, grouped in a namespace
+ */
+export namespace StringUtils {
+    /**
+     * Reverse a string
+     * @param input The string to reverse
+     * @returns The reversed string
+     */
+    export function reverse(input: string): string {
+        return input.split('').reverse().join('');
+    }
+
+    /** The default separator */
+    export const SEPARATOR = ', ';
+
+    /**
+     * Nested namespace for casing helpers
+     */
+    export namespace Case {
+        /** Supported casing styles */
+        export type Style = 'upper' | 'lower';
+
+        /** How to change the casing */
+        export interface Options {
+            /** When true, leave acronyms like `HTML` as they are */
+            keepAcronyms?: boolean;
+        }
+    }
+}
+
 // Re-export from a local module
 export { Container, type TestInterface } from './helper.js';
 
+/**
+ * The trivial module, re-exported as a namespace
+ */
+export * as trivial from './trivial.js';
+
 // Re-export from npm package
 export { deepCopy } from "fast-deep-copy";
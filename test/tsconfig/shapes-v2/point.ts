@@ -0,0 +1,5 @@
+/** A point in two dimensions, with coordinates in CSS units */
+export interface Point {
+    x: string;
+    y: string;
+}
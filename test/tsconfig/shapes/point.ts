@@ -0,0 +1,5 @@
+/** A point in two dimensions */
+export interface Point {
+    x: number;
+    y: number;
+}
@@ -0,0 +1,17 @@
+import type { Point } from '@shapes/point';
+
+/**
+ * The horizontal coordinate of a point, its type depending on the `@shapes` path alias
+ * @param point The point
+ * @returns The x coordinate
+ * @example
+ * ```tsx
+ * const label = <span>{getX({ x: 1, y: 2 })}</span>;
+ * ```
+ */
+export function getX(point: Point) {
+    return point.x;
+}
+
+/** The coordinates of a point */
+export const coordinates = (point: Point) => [point.x, point.y] as const;